@@ -0,0 +1,97 @@
+const pool = require('./pool');
+const { internalTable, ensureInternalTable } = require('./internal');
+
+const AUDIT_TABLE = internalTable('audit_log');
+
+const ensureAuditTable = () =>
+    ensureInternalTable('audit_log', `
+        id BIGSERIAL PRIMARY KEY,
+        occurred_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        username TEXT,
+        token_id INTEGER,
+        action TEXT NOT NULL,
+        table_name TEXT,
+        row_id TEXT,
+        before JSONB,
+        after JSONB,
+        query TEXT,
+        details JSONB
+    `);
+
+/**
+ * Write one or more audit entries for the user behind `req`.
+ *
+ * Each entry is `{ action, table, rowId, before, after, query, details }`. Pass the
+ * transaction's client so the entries commit or roll back together with the change.
+ */
+const recordAudit = async (req, entries, client = pool) => {
+    const list = (Array.isArray(entries) ? entries : [entries]).filter(Boolean);
+    if (!list.length) return;
+    await ensureAuditTable();
+
+    const user = req.user || {};
+    const records = list.map(entry => ({
+        username: user.username || null,
+        token_id: user.token ? user.token.id : null,
+        action: entry.action,
+        table_name: entry.table || null,
+        row_id: entry.rowId === undefined || entry.rowId === null ? null : String(entry.rowId),
+        before: entry.before || null,
+        after: entry.after || null,
+        query: entry.query || null,
+        details: entry.details || null,
+    }));
+
+    // A single statement for any number of entries, so bulk writes stay cheap
+    await client.query(
+        `
+            INSERT INTO ${AUDIT_TABLE} (username, token_id, action, table_name, row_id, before, after, query, details)
+            SELECT username, token_id, action, table_name, row_id, before, after, query, details
+            FROM jsonb_to_recordset($1::jsonb) AS r(
+                username TEXT, token_id INTEGER, action TEXT, table_name TEXT, row_id TEXT,
+                before JSONB, after JSONB, query TEXT, details JSONB
+            );
+        `,
+        [JSON.stringify(records)]
+    );
+};
+
+/**
+ * Record an audit entry outside of any transaction. Failures are logged rather than
+ * thrown, for changes that have already been committed.
+ */
+const recordAuditSafely = (req, entries) =>
+    recordAudit(req, entries).catch(err => console.error('Error writing audit log:', err.message));
+
+/**
+ * Page through audit entries, newest first, with optional filters:
+ * username, action, table, rowId, from and to (ISO timestamps).
+ */
+const listAudit = async ({ username, action, table, rowId, from, to }, { limit, offset }) => {
+    await ensureAuditTable();
+
+    const conditions = [];
+    const values = [];
+    const addCondition = (sql, value) => {
+        values.push(value);
+        conditions.push(sql.replace('?', `$${values.length}`));
+    };
+
+    if (username) addCondition('username = ?', username);
+    if (action) addCondition('action = ?', action);
+    if (table) addCondition('table_name = ?', table);
+    if (rowId) addCondition('row_id = ?', rowId);
+    if (from) addCondition('occurred_at >= ?', from);
+    if (to) addCondition('occurred_at <= ?', to);
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const totalResult = await pool.query(`SELECT COUNT(*) FROM ${AUDIT_TABLE} ${where}`, values);
+    const result = await pool.query(
+        `SELECT * FROM ${AUDIT_TABLE} ${where} ORDER BY occurred_at DESC, id DESC LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, limit, offset]
+    );
+
+    return { totalItems: parseInt(totalResult.rows[0].count), rows: result.rows };
+};
+
+module.exports = { recordAudit, recordAuditSafely, listAudit };
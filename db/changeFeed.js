@@ -0,0 +1,205 @@
+const { Client } = require('pg');
+const pool = require('./pool');
+const { INTERNAL_SCHEMA, internalTable, ensureInternalTable } = require('./internal');
+const { TRIGGER_TABLE_KEY } = require('./connections');
+const { quoteIdent } = require('../utils/queryBuilder');
+
+const EVENTS_TABLE = internalTable('change_events');
+const CHANGE_FUNCTION = `${quoteIdent(INTERNAL_SCHEMA)}.${quoteIdent('record_change')}`;
+const CHANGE_TRIGGER = 'record_change';
+const CHANNEL = 'app_changes';
+
+// Events are kept this long so reconnecting subscribers can catch up
+const RETENTION_HOURS = parseInt(process.env.CHANGE_FEED_RETENTION_HOURS) || 24;
+
+let ensured = null;
+
+/**
+ * Create the event table and the trigger function that stores each change and announces
+ * its id on the notification channel. Payloads stay small, whatever the size of the row.
+ */
+const ensureEventsTable = () => {
+    if (!ensured) {
+        ensured = ensureInternalTable('change_events', `
+            id BIGSERIAL PRIMARY KEY,
+            table_name TEXT NOT NULL,
+            operation TEXT NOT NULL,
+            row JSONB NOT NULL,
+            changed_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        `)
+            .then(() => pool.query(`
+                CREATE INDEX IF NOT EXISTS change_events_table_name_idx ON ${EVENTS_TABLE} (table_name, id);
+                CREATE OR REPLACE FUNCTION ${CHANGE_FUNCTION}() RETURNS trigger LANGUAGE plpgsql AS $$
+                DECLARE
+                    event_id BIGINT;
+                    table_key TEXT := ${TRIGGER_TABLE_KEY};
+                BEGIN
+                    IF TG_OP = 'DELETE' THEN
+                        INSERT INTO ${EVENTS_TABLE} (table_name, operation, row)
+                        VALUES (table_key, 'delete', to_jsonb(OLD)) RETURNING id INTO event_id;
+                    ELSE
+                        INSERT INTO ${EVENTS_TABLE} (table_name, operation, row)
+                        VALUES (table_key, lower(TG_OP), to_jsonb(NEW)) RETURNING id INTO event_id;
+                    END IF;
+                    PERFORM pg_notify('${CHANNEL}', json_build_object('id', event_id, 'table', table_key)::text);
+                    RETURN NULL;
+                END
+                $$;
+            `))
+            .catch(err => {
+                ensured = null;
+                throw err;
+            });
+    }
+    return ensured;
+};
+
+/**
+ * Start publishing inserts, updates and deletes of a table, given as a qualified relation, to subscribers.
+ */
+const enableChangeFeed = async (client, relation) => {
+    await ensureEventsTable();
+    await client.query(`
+        DROP TRIGGER IF EXISTS ${quoteIdent(CHANGE_TRIGGER)} ON ${relation};
+        CREATE TRIGGER ${quoteIdent(CHANGE_TRIGGER)} AFTER INSERT OR UPDATE OR DELETE ON ${relation}
+            FOR EACH ROW EXECUTE FUNCTION ${CHANGE_FUNCTION}();
+    `);
+};
+
+/**
+ * Stop publishing changes of a table.
+ */
+const disableChangeFeed = (client, relation) =>
+    client.query(`DROP TRIGGER IF EXISTS ${quoteIdent(CHANGE_TRIGGER)} ON ${relation}`);
+
+/**
+ * Move the stored events of a renamed table to its new name.
+ */
+const renameChangeEvents = async (client, table, newName) => {
+    await ensureEventsTable();
+    await client.query(`UPDATE ${EVENTS_TABLE} SET table_name = $2 WHERE table_name = $1`, [table, newName]);
+};
+
+const EVENT_COLUMNS = 'id, table_name AS "table", operation, row, changed_at AS "changedAt"';
+
+/**
+ * Stored events of a table after the given event id, oldest first.
+ */
+const eventsSince = async (table, lastEventId, limit = 1000) => {
+    await ensureEventsTable();
+    const result = await pool.query(
+        `SELECT ${EVENT_COLUMNS} FROM ${EVENTS_TABLE} WHERE table_name = $1 AND id > $2 ORDER BY id LIMIT $3`,
+        [table, lastEventId, limit]
+    );
+    return result.rows;
+};
+
+// Subscribers by table name, each `{ onEvent, onLost }`
+const subscribers = new Map();
+
+let listener = null;
+let pruneTimer = null;
+
+const pruneEvents = () =>
+    pool
+        .query(`DELETE FROM ${EVENTS_TABLE} WHERE changed_at < now() - make_interval(hours => $1)`, [RETENTION_HOURS])
+        .catch(err => console.error('Error pruning change events:', err.message));
+
+/**
+ * Deliver a notification to the subscribers of its table, loading the event it points to.
+ */
+const dispatch = async (message) => {
+    let notice;
+    try {
+        notice = JSON.parse(message.payload);
+    } catch (err) {
+        return;
+    }
+    const tableSubscribers = subscribers.get(notice.table);
+    if (!tableSubscribers || !tableSubscribers.size) return;
+
+    try {
+        const result = await pool.query(`SELECT ${EVENT_COLUMNS} FROM ${EVENTS_TABLE} WHERE id = $1`, [notice.id]);
+        if (result.rows.length) {
+            tableSubscribers.forEach(subscriber => subscriber.onEvent(result.rows[0]));
+        }
+    } catch (err) {
+        console.error('Error loading change event:', err.message);
+    }
+};
+
+/**
+ * Tell every subscriber that events may have been missed, and forget them. They resubscribe
+ * with the id of the last event they saw, which starts a new listening connection.
+ */
+const dropSubscribers = () => {
+    const lost = [...subscribers.values()].flatMap(tableSubscribers => [...tableSubscribers]);
+    subscribers.clear();
+    lost.forEach(subscriber => subscriber.onLost());
+};
+
+/**
+ * Open the dedicated LISTEN connection: a plain client with the pool's settings, so it never
+ * holds a pooled connection.
+ */
+const startListener = () => {
+    if (listener) return listener;
+
+    listener = (async () => {
+        await ensureEventsTable();
+        const client = new Client(pool.options);
+        client.on('error', err => console.error('Change feed connection error:', err.message));
+
+        // Notifications are handled one at a time so subscribers see events in order
+        let queue = Promise.resolve();
+        client.on('notification', (message) => {
+            queue = queue.then(() => dispatch(message));
+        });
+
+        await client.connect();
+        client.on('end', () => {
+            listener = null;
+            dropSubscribers();
+        });
+        await client.query(`LISTEN ${CHANNEL}`);
+
+        if (!pruneTimer) {
+            pruneEvents();
+            pruneTimer = setInterval(pruneEvents, 60 * 60 * 1000);
+            pruneTimer.unref();
+        }
+        return client;
+    })().catch((err) => {
+        listener = null;
+        throw err;
+    });
+    return listener;
+};
+
+/**
+ * Call `onEvent(event)` for every change to a table until the returned function is called.
+ * `onLost()` is called instead if the listening connection drops. Resolves once the
+ * connection is listening, so no change after that point is missed.
+ */
+const subscribe = async (table, { onEvent, onLost }) => {
+    const subscriber = { onEvent, onLost };
+    if (!subscribers.has(table)) subscribers.set(table, new Set());
+    subscribers.get(table).add(subscriber);
+
+    const unsubscribe = () => {
+        const tableSubscribers = subscribers.get(table);
+        if (!tableSubscribers) return;
+        tableSubscribers.delete(subscriber);
+        if (!tableSubscribers.size) subscribers.delete(table);
+    };
+
+    try {
+        await startListener();
+    } catch (err) {
+        unsubscribe();
+        throw err;
+    }
+    return unsubscribe;
+};
+
+module.exports = { enableChangeFeed, disableChangeFeed, renameChangeEvents, eventsSince, subscribe };
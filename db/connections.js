@@ -0,0 +1,143 @@
+const { Pool } = require('pg');
+const pool = require('./pool');
+const { quoteIdent, splitList } = require('../utils/queryBuilder');
+const { HttpError } = require('../utils/errors');
+
+// The database configured with DB_HOST, DB_NAME, ... and the schema the `/api/{table}` routes use
+const DEFAULT_CONNECTION = 'default';
+const DEFAULT_SCHEMA = 'public';
+
+const CONNECTION_NAME = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Read the named connections from the environment. DB_CONNECTIONS lists the extra names; each
+ * is configured like the default one with a DB_<NAME>_ prefix (DB_ANALYTICS_HOST, ..._NAME,
+ * ..._USER, ..._PASSWORD, ..._PORT), or with a single DB_<NAME>_URL. DB_SCHEMAS and
+ * DB_<NAME>_SCHEMAS list the schemas that may be browsed, `public` by default.
+ */
+const readConnections = () => {
+    const connections = new Map([[DEFAULT_CONNECTION, {
+        name: DEFAULT_CONNECTION,
+        schemas: splitList(process.env.DB_SCHEMAS || DEFAULT_SCHEMA),
+        pool,
+    }]]);
+
+    splitList(process.env.DB_CONNECTIONS || '').forEach(name => {
+        if (!CONNECTION_NAME.test(name) || connections.has(name)) {
+            console.error(`Ignoring connection "${name}": names must be unique, lowercase letters, digits and underscores.`);
+            return;
+        }
+        const env = (key) => process.env[`DB_${name.toUpperCase()}_${key}`];
+        connections.set(name, {
+            name,
+            schemas: splitList(env('SCHEMAS') || DEFAULT_SCHEMA),
+            config: env('URL')
+                ? { connectionString: env('URL') }
+                : { user: env('USER'), host: env('HOST'), database: env('NAME'), password: env('PASSWORD'), port: env('PORT') || 5432 },
+            pool: null,
+        });
+    });
+    return connections;
+};
+
+const connections = readConnections();
+const poolListeners = [];
+
+/**
+ * Call `listener(pool)` for every connection pool, now and as they are opened.
+ */
+const onPoolCreated = (listener) => {
+    poolListeners.push(listener);
+    connections.forEach(connection => connection.pool && listener(connection.pool));
+};
+
+/**
+ * The pool of a connection, opened on first use.
+ */
+const getPool = (connection) => {
+    if (!connection.pool) {
+        connection.pool = new Pool(connection.config);
+        // An idle client losing its server must not take the process down
+        connection.pool.on('error', err => console.error(`Error on idle client of connection ${connection.name}:`, err.message));
+        poolListeners.forEach(listener => listener(connection.pool));
+    }
+    return connection.pool;
+};
+
+/**
+ * Names and browsable schemas of the configured connections, the default one first.
+ */
+const listConnections = () => [...connections.values()].map(({ name, schemas }) => ({ name, schemas }));
+
+/**
+ * Resolve a connection name and schema to the target of a request: `{ connection, schema, pool }`.
+ * Unknown connections and schemas that are not configured for browsing are a 404.
+ */
+const resolveTarget = (connectionName = DEFAULT_CONNECTION, schema = DEFAULT_SCHEMA) => {
+    const connection = connections.get(connectionName);
+    if (!connection) {
+        throw new HttpError(404, `Unknown connection: ${connectionName}`);
+    }
+    if (!connection.schemas.includes(schema)) {
+        throw new HttpError(404, `Schema ${schema} is not available on connection ${connectionName}.`);
+    }
+    return { connection: connection.name, schema, pool: getPool(connection) };
+};
+
+/**
+ * Name a table is known by in table grants, API token allow-lists and the audit log:
+ * `table` in the default connection's public schema, `schema.table` in its other schemas,
+ * and `connection:schema.table` (or `connection:table` for public) on other connections.
+ */
+const tableKey = ({ connection = DEFAULT_CONNECTION, schema = DEFAULT_SCHEMA } = {}, table) =>
+    `${connection === DEFAULT_CONNECTION ? '' : `${connection}:`}${schema === DEFAULT_SCHEMA ? '' : `${schema}.`}${table}`;
+
+/**
+ * SQL for the table key of a trigger's table on the default connection, as tableKey builds it.
+ */
+const TRIGGER_TABLE_KEY = `CASE TG_TABLE_SCHEMA WHEN '${DEFAULT_SCHEMA}' THEN TG_TABLE_NAME ELSE TG_TABLE_SCHEMA || '.' || TG_TABLE_NAME END`;
+
+/**
+ * Split a table key back into `{ connection, schema, table }`.
+ */
+const parseTableKey = (key) => {
+    const [, connection = DEFAULT_CONNECTION, schema = DEFAULT_SCHEMA, table] =
+        String(key).match(/^(?:([a-z][a-z0-9_]*):)?(?:([^.]+)\.)?(.*)$/);
+    return { connection, schema, table };
+};
+
+/**
+ * The connection a table key belongs to.
+ */
+const keyConnection = (key) => {
+    const match = String(key || '').match(/^([a-z][a-z0-9_]*):/);
+    return match ? match[1] : DEFAULT_CONNECTION;
+};
+
+/**
+ * Quote a table of a target's schema for use in SQL.
+ */
+const qualifiedTable = ({ schema = DEFAULT_SCHEMA } = {}, table) => `${quoteIdent(schema)}.${quoteIdent(table)}`;
+
+/**
+ * Look up unqualified names in the given schema first, then public, for the rest of the
+ * transaction. The public schema keeps the server's search_path.
+ */
+const setSearchPath = async (client, schema) => {
+    if (schema === DEFAULT_SCHEMA) return;
+    await client.query("SELECT set_config('search_path', $1, true)", [`${quoteIdent(schema)}, ${quoteIdent(DEFAULT_SCHEMA)}`]);
+};
+
+module.exports = {
+    DEFAULT_CONNECTION,
+    DEFAULT_SCHEMA,
+    onPoolCreated,
+    listConnections,
+    resolveTarget,
+    tableKey,
+    TRIGGER_TABLE_KEY,
+    parseTableKey,
+    keyConnection,
+    qualifiedTable,
+    setSearchPath,
+};
@@ -0,0 +1,35 @@
+const pool = require('./pool');
+const { quoteIdent } = require('../utils/queryBuilder');
+
+// Schema holding the application's own tables (tokens, logs, ...), kept out of the public
+// schema so they never show up in the table list or the dynamic CRUD routes
+const INTERNAL_SCHEMA = process.env.INTERNAL_SCHEMA || 'app_internal';
+
+const ensured = new Map();
+
+/**
+ * Quote the name of a table in the internal schema for use in SQL.
+ */
+const internalTable = (name) => `${quoteIdent(INTERNAL_SCHEMA)}.${quoteIdent(name)}`;
+
+/**
+ * Create an internal table (and the internal schema) if it does not exist yet.
+ * The check runs once per process; a failure is retried on the next call.
+ */
+const ensureInternalTable = (name, definition) => {
+    if (!ensured.has(name)) {
+        const created = pool
+            .query(`
+                CREATE SCHEMA IF NOT EXISTS ${quoteIdent(INTERNAL_SCHEMA)};
+                CREATE TABLE IF NOT EXISTS ${internalTable(name)} (${definition});
+            `)
+            .catch(err => {
+                ensured.delete(name);
+                throw err;
+            });
+        ensured.set(name, created);
+    }
+    return ensured.get(name);
+};
+
+module.exports = { INTERNAL_SCHEMA, internalTable, ensureInternalTable };
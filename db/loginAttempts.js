@@ -0,0 +1,197 @@
+const pool = require('./pool');
+const { internalTable, ensureInternalTable } = require('./internal');
+
+const ATTEMPTS_TABLE = internalTable('login_attempts');
+const LOCKOUTS_TABLE = internalTable('login_lockouts');
+
+// Consecutive failures that lock a username, and failures from one IP address (any username) that lock the address
+const MAX_USERNAME_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 20;
+
+// Failures further apart than this start a new count
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+
+// The first lockout lasts this long; each further one doubles, up to the maximum
+const BASE_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 1;
+const MAX_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_MAX_LOCKOUT_MINUTES) || 60;
+
+// A username or address without failures for this long starts again from the shortest lockout
+const LOCKOUT_RESET_HOURS = 24;
+
+let ensured = null;
+
+const ensureLoginTables = () => {
+    if (!ensured) {
+        ensured = ensureInternalTable('login_attempts', `
+            id BIGSERIAL PRIMARY KEY,
+            attempted_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+            username TEXT,
+            ip TEXT,
+            success BOOLEAN NOT NULL,
+            reason TEXT
+        `)
+            .then(() => ensureInternalTable('login_lockouts', `
+                kind TEXT NOT NULL,
+                key TEXT NOT NULL,
+                failures INTEGER NOT NULL DEFAULT 0,
+                lockouts INTEGER NOT NULL DEFAULT 0,
+                last_failure_at TIMESTAMPTZ,
+                locked_until TIMESTAMPTZ,
+                PRIMARY KEY (kind, key)
+            `))
+            .catch(err => {
+                ensured = null;
+                throw err;
+            });
+    }
+    return ensured;
+};
+
+/**
+ * Keys a login is counted under: the username and the client's IP address.
+ */
+const lockoutKeys = (username, ip) => [
+    { kind: 'username', key: username, maxFailures: MAX_USERNAME_FAILURES },
+    { kind: 'ip', key: ip, maxFailures: MAX_IP_FAILURES },
+].filter(({ key }) => key);
+
+/**
+ * Record a login attempt in the login log.
+ */
+const recordLoginAttempt = async ({ username, ip, success, reason = null }) => {
+    await ensureLoginTables();
+    await pool.query(
+        `INSERT INTO ${ATTEMPTS_TABLE} (username, ip, success, reason) VALUES ($1, $2, $3, $4)`,
+        [username || null, ip || null, success, reason]
+    );
+};
+
+/**
+ * Find an active lockout of the username or IP address. Resolves to
+ * `{ kind, lockedUntil }` for the one that lasts longest, or null.
+ */
+const findLockout = async (username, ip) => {
+    await ensureLoginTables();
+    const keys = lockoutKeys(username, ip);
+    const result = await pool.query(
+        `SELECT kind, locked_until AS "lockedUntil" FROM ${LOCKOUTS_TABLE}
+         WHERE (kind, key) IN (SELECT * FROM unnest($1::text[], $2::text[])) AND locked_until > now()
+         ORDER BY locked_until DESC LIMIT 1`,
+        [keys.map(({ kind }) => kind), keys.map(({ key }) => key)]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Count a failed login against the username and IP address, locking either once it reaches
+ * its limit. Each lockout within a day lasts twice as long as the one before. Resolves to the
+ * new lockout, as findLockout does, or null.
+ */
+const recordLoginFailure = async (username, ip) => {
+    await ensureLoginTables();
+    let lockout = null;
+
+    for (const { kind, key, maxFailures } of lockoutKeys(username, ip)) {
+        const result = await pool.query(
+            `INSERT INTO ${LOCKOUTS_TABLE} AS l (kind, key, failures, last_failure_at) VALUES ($1, $2, 1, now())
+             ON CONFLICT (kind, key) DO UPDATE SET
+                 failures = CASE WHEN l.last_failure_at < now() - make_interval(mins => $3) THEN 1 ELSE l.failures + 1 END,
+                 lockouts = CASE WHEN l.last_failure_at < now() - make_interval(hours => $4) THEN 0 ELSE l.lockouts END,
+                 last_failure_at = now()
+             RETURNING failures, lockouts`,
+            [kind, key, FAILURE_WINDOW_MINUTES, LOCKOUT_RESET_HOURS]
+        );
+        const { failures, lockouts } = result.rows[0];
+        if (failures < maxFailures) continue;
+
+        const minutes = Math.min(MAX_LOCKOUT_MINUTES, BASE_LOCKOUT_MINUTES * 2 ** lockouts);
+        const locked = await pool.query(
+            `UPDATE ${LOCKOUTS_TABLE}
+             SET failures = 0, lockouts = lockouts + 1, locked_until = now() + make_interval(mins => $3)
+             WHERE kind = $1 AND key = $2
+             RETURNING kind, locked_until AS "lockedUntil"`,
+            [kind, key, minutes]
+        );
+        if (!lockout || locked.rows[0].lockedUntil > lockout.lockedUntil) {
+            lockout = locked.rows[0];
+        }
+    }
+    return lockout;
+};
+
+/**
+ * Reset the failure counts and lockout history of the username and IP address after a successful login.
+ */
+const clearLoginFailures = async (username, ip) => {
+    await ensureLoginTables();
+    const keys = lockoutKeys(username, ip);
+    await pool.query(
+        `DELETE FROM ${LOCKOUTS_TABLE} WHERE (kind, key) IN (SELECT * FROM unnest($1::text[], $2::text[]))`,
+        [keys.map(({ kind }) => kind), keys.map(({ key }) => key)]
+    );
+};
+
+/**
+ * List usernames and IP addresses that are locked or have recent failures, longest lockout first.
+ */
+const listLockouts = async () => {
+    await ensureLoginTables();
+    const result = await pool.query(
+        `SELECT kind, key, failures, lockouts, last_failure_at, locked_until, COALESCE(locked_until > now(), false) AS locked
+         FROM ${LOCKOUTS_TABLE}
+         WHERE locked_until > now() OR last_failure_at > now() - make_interval(mins => $1)
+         ORDER BY locked_until DESC NULLS LAST, last_failure_at DESC`,
+        [FAILURE_WINDOW_MINUTES]
+    );
+    return result.rows;
+};
+
+/**
+ * Lift the lockout of a username or IP address and forget its failures.
+ * Resolves to whether there was anything to clear.
+ */
+const unlock = async (kind, key) => {
+    await ensureLoginTables();
+    const result = await pool.query(`DELETE FROM ${LOCKOUTS_TABLE} WHERE kind = $1 AND key = $2`, [kind, key]);
+    return result.rowCount > 0;
+};
+
+/**
+ * Page through the login log, newest first, with optional filters:
+ * username, ip, success (boolean), from and to (ISO timestamps).
+ */
+const listLoginAttempts = async ({ username, ip, success, from, to }, { limit, offset }) => {
+    await ensureLoginTables();
+
+    const conditions = [];
+    const values = [];
+    const addCondition = (sql, value) => {
+        values.push(value);
+        conditions.push(sql.replace('?', `$${values.length}`));
+    };
+
+    if (username) addCondition('username = ?', username);
+    if (ip) addCondition('ip = ?', ip);
+    if (success !== undefined) addCondition('success = ?', success);
+    if (from) addCondition('attempted_at >= ?', from);
+    if (to) addCondition('attempted_at <= ?', to);
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const totalResult = await pool.query(`SELECT COUNT(*) FROM ${ATTEMPTS_TABLE} ${where}`, values);
+    const result = await pool.query(
+        `SELECT * FROM ${ATTEMPTS_TABLE} ${where} ORDER BY attempted_at DESC, id DESC LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, limit, offset]
+    );
+
+    return { totalItems: parseInt(totalResult.rows[0].count), rows: result.rows };
+};
+
+module.exports = {
+    recordLoginAttempt,
+    findLockout,
+    recordLoginFailure,
+    clearLoginFailures,
+    listLockouts,
+    unlock,
+    listLoginAttempts,
+};
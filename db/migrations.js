@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const pool = require('./pool');
+const { internalTable, ensureInternalTable } = require('./internal');
+
+// Ordered migration files: <version>_<name>.sql or <version>_<name>.js, e.g. 20250101120000_create_orders.sql
+const MIGRATIONS_DIR = process.env.MIGRATIONS_DIR || path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(sql|js)$/;
+
+// SQL migrations hold both directions, each starting with one of these marker lines
+const SECTION_MARKER = /^--\s*migrate:(up|down)\s*$/im;
+
+// Any fixed key works; it only has to be the same for every process running migrations
+const MIGRATION_LOCK_KEY = 'growth-db-migrations';
+
+const MIGRATIONS_TABLE = internalTable('schema_migrations');
+
+const ensureMigrationsTable = () =>
+    ensureInternalTable('schema_migrations', `
+        version TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        checksum TEXT NOT NULL,
+        applied_by TEXT,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    `);
+
+// Versions are compared as numbers so that timestamps and short counters (001, 2, ...) sort alike
+const compareVersions = (a, b) => {
+    const difference = BigInt(a) - BigInt(b);
+    return difference < 0n ? -1 : difference > 0n ? 1 : 0;
+};
+
+/**
+ * Read the migration files, ordered by version.
+ */
+const loadMigrations = () => {
+    if (!fs.existsSync(MIGRATIONS_DIR)) return [];
+
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => {
+            const fullPath = path.join(MIGRATIONS_DIR, file);
+            return {
+                version: match[1],
+                name: match[2],
+                type: match[3],
+                file,
+                path: fullPath,
+                checksum: crypto.createHash('sha256').update(fs.readFileSync(fullPath)).digest('hex'),
+            };
+        })
+        .sort((a, b) => compareVersions(a.version, b.version));
+
+    const duplicate = migrations.find((migration, i) => i > 0 && compareVersions(migrations[i - 1].version, migration.version) === 0);
+    if (duplicate) {
+        throw new Error(`More than one migration has version ${duplicate.version}.`);
+    }
+    return migrations;
+};
+
+/**
+ * Split a SQL migration into its up and down sections.
+ */
+const parseSqlMigration = (content) => {
+    const sections = { up: '', down: '' };
+    const parts = content.split(SECTION_MARKER);
+    for (let i = 1; i < parts.length; i += 2) {
+        sections[parts[i].toLowerCase()] += parts[i + 1];
+    }
+    return sections;
+};
+
+// A section of only comments and whitespace has nothing to run
+const isEmptySql = (sql) => !sql.replace(/--[^\n]*/g, '').trim();
+
+/**
+ * Run one direction of a migration with the given client.
+ */
+const runMigration = async (client, migration, direction) => {
+    const label = `${migration.version}_${migration.name}`;
+
+    if (migration.type === 'js') {
+        const definition = require(migration.path);
+        if (typeof definition[direction] !== 'function') {
+            throw new Error(`Migration ${label} does not export an ${direction} function.`);
+        }
+        await definition[direction](client);
+        return;
+    }
+
+    const sql = parseSqlMigration(fs.readFileSync(migration.path, 'utf8'))[direction];
+    if (isEmptySql(sql)) {
+        throw new Error(`Migration ${label} has no "-- migrate:${direction}" statements.`);
+    }
+    await client.query(sql);
+};
+
+const getAppliedMigrations = async (client = pool) => {
+    await ensureMigrationsTable();
+    const result = await client.query(`SELECT * FROM ${MIGRATIONS_TABLE}`);
+    return result.rows.sort((a, b) => compareVersions(a.version, b.version));
+};
+
+/**
+ * List every migration with its status: applied, pending, modified (applied, but the file
+ * changed since) or missing (applied, but the file is gone).
+ */
+const getMigrationStatus = async () => {
+    const migrations = loadMigrations();
+    const applied = new Map((await getAppliedMigrations()).map(row => [row.version, row]));
+
+    const status = migrations.map(migration => {
+        const row = applied.get(migration.version);
+        applied.delete(migration.version);
+        return {
+            version: migration.version,
+            name: migration.name,
+            file: migration.file,
+            status: !row ? 'pending' : row.checksum === migration.checksum ? 'applied' : 'modified',
+            appliedAt: row ? row.applied_at : null,
+        };
+    });
+
+    const missing = [...applied.values()].map(row => ({
+        version: row.version,
+        name: row.name,
+        file: null,
+        status: 'missing',
+        appliedAt: row.applied_at,
+    }));
+    return [...status, ...missing].sort((a, b) => compareVersions(a.version, b.version));
+};
+
+/**
+ * Run migrations one at a time, each in its own transaction together with its tracking row,
+ * holding an advisory lock so two processes never migrate at once.
+ */
+const withMigrationLock = async (callback) => {
+    await ensureMigrationsTable();
+    const client = await pool.connect();
+
+    try {
+        await client.query('SELECT pg_advisory_lock(hashtext($1))', [MIGRATION_LOCK_KEY]);
+        return await callback(client);
+    } finally {
+        await client.query('SELECT pg_advisory_unlock(hashtext($1))', [MIGRATION_LOCK_KEY]).catch(() => {});
+        client.release();
+    }
+};
+
+const inTransaction = async (client, callback) => {
+    await client.query('BEGIN');
+    try {
+        await callback();
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+    }
+};
+
+/**
+ * Apply pending migrations in version order, up to and including `to` when given.
+ * Stops at the first failure; migrations applied before it stay applied.
+ * Resolves to the migrations that were applied.
+ */
+const migrateUp = ({ to, appliedBy = null } = {}) =>
+    withMigrationLock(async (client) => {
+        const applied = new Set((await getAppliedMigrations(client)).map(row => row.version));
+        const pending = loadMigrations().filter(migration =>
+            !applied.has(migration.version) && (to === undefined || compareVersions(migration.version, to) <= 0));
+
+        const done = [];
+        for (const migration of pending) {
+            await inTransaction(client, async () => {
+                await runMigration(client, migration, 'up');
+                await client.query(
+                    `INSERT INTO ${MIGRATIONS_TABLE} (version, name, checksum, applied_by) VALUES ($1, $2, $3, $4)`,
+                    [migration.version, migration.name, migration.checksum, appliedBy]
+                );
+            });
+            done.push(migration);
+        }
+        return done;
+    });
+
+/**
+ * Roll back applied migrations, newest first: the last `steps` (default 1), or every
+ * migration newer than `to` when given. Resolves to the migrations that were rolled back.
+ */
+const migrateDown = ({ steps = 1, to } = {}) =>
+    withMigrationLock(async (client) => {
+        const files = new Map(loadMigrations().map(migration => [migration.version, migration]));
+        const applied = (await getAppliedMigrations(client)).reverse();
+        const targets = to === undefined
+            ? applied.slice(0, steps)
+            : applied.filter(row => compareVersions(row.version, to) > 0);
+
+        const done = [];
+        for (const row of targets) {
+            const migration = files.get(row.version);
+            if (!migration) {
+                throw new Error(`Cannot roll back ${row.version}_${row.name}: its migration file is missing.`);
+            }
+            await inTransaction(client, async () => {
+                await runMigration(client, migration, 'down');
+                await client.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE version = $1`, [row.version]);
+            });
+            done.push(migration);
+        }
+        return done;
+    });
+
+/**
+ * Write a new SQL migration file, versioned with the current UTC time.
+ * `up` and `down` are lists of statements; an empty `down` can carry a `downNote` comment instead.
+ */
+const createMigration = (name, { up = [], down = [], downNote } = {}) => {
+    const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '').slice(0, 80);
+    if (!slug) {
+        throw new Error('A migration name is required.');
+    }
+
+    fs.mkdirSync(MIGRATIONS_DIR, { recursive: true });
+    const existing = new Set(loadMigrations().map(migration => BigInt(migration.version)));
+    let version = BigInt(new Date().toISOString().replace(/\D/g, '').slice(0, 14));
+    while (existing.has(version)) version += 1n;
+
+    const section = (statements) => statements.map(statement => `${statement.trim().replace(/;$/, '')};\n`).join('\n');
+    const file = `${version}_${slug}.sql`;
+    const content = [
+        `-- migrate:up\n${section(up)}`,
+        `-- migrate:down\n${downNote ? `-- ${downNote}\n` : ''}${section(down)}`,
+    ].join('\n');
+
+    fs.writeFileSync(path.join(MIGRATIONS_DIR, file), content, 'utf8');
+    return { version: String(version), name: slug, file };
+};
+
+module.exports = { MIGRATIONS_DIR, getMigrationStatus, migrateUp, migrateDown, createMigration };
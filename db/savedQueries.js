@@ -0,0 +1,181 @@
+const pool = require('./pool');
+const { internalTable, ensureInternalTable } = require('./internal');
+
+const SAVED_TABLE = internalTable('saved_queries');
+const HISTORY_TABLE = internalTable('query_history');
+
+// Playground runs kept per user; older ones are dropped as new ones are recorded
+const HISTORY_LIMIT = parseInt(process.env.QUERY_HISTORY_LIMIT) || 500;
+
+// `shared_with` entry that shares a saved query with every user
+const EVERYONE = '*';
+
+let ensured = null;
+
+const ensureQueryTables = () => {
+    if (!ensured) {
+        ensured = ensureInternalTable('saved_queries', `
+            id SERIAL PRIMARY KEY,
+            owner TEXT NOT NULL,
+            name TEXT NOT NULL,
+            description TEXT,
+            query TEXT NOT NULL,
+            parameters TEXT[] NOT NULL DEFAULT '{}',
+            shared_with TEXT[] NOT NULL DEFAULT '{}',
+            created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+            UNIQUE (owner, name)
+        `)
+            .then(() => ensureInternalTable('query_history', `
+                id BIGSERIAL PRIMARY KEY,
+                username TEXT NOT NULL,
+                query TEXT NOT NULL,
+                params JSONB,
+                mode TEXT NOT NULL,
+                saved_query_id INTEGER,
+                success BOOLEAN NOT NULL,
+                error TEXT,
+                row_count INTEGER,
+                duration_ms INTEGER,
+                ran_at TIMESTAMPTZ NOT NULL DEFAULT now()
+            `))
+            .then(() => pool.query(`CREATE INDEX IF NOT EXISTS query_history_username_idx ON ${HISTORY_TABLE} (username, id)`))
+            .catch(err => {
+                ensured = null;
+                throw err;
+            });
+    }
+    return ensured;
+};
+
+const SAVED_COLUMNS = `id, owner, name, description, query, parameters, shared_with, created_at, updated_at`;
+
+// Saved queries a user may open and run: their own and those shared with them or with everyone
+const VISIBLE_TO = `(owner = $1 OR $1 = ANY (shared_with) OR '${EVERYONE}' = ANY (shared_with))`;
+
+/**
+ * Record a playground run in the user's history, keeping the newest HISTORY_LIMIT runs.
+ */
+const recordQueryHistory = async (username, { query, params, mode, savedQueryId, success, error, rowCount, durationMs }) => {
+    await ensureQueryTables();
+    await pool.query(
+        `INSERT INTO ${HISTORY_TABLE} (username, query, params, mode, saved_query_id, success, error, row_count, duration_ms)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [username, query, params ? JSON.stringify(params) : null, mode, savedQueryId || null, success, error || null,
+            rowCount === undefined ? null : rowCount, durationMs]
+    );
+    await pool.query(
+        `DELETE FROM ${HISTORY_TABLE} WHERE username = $1 AND id <= (
+             SELECT id FROM ${HISTORY_TABLE} WHERE username = $1 ORDER BY id DESC OFFSET $2 LIMIT 1
+         )`,
+        [username, HISTORY_LIMIT]
+    );
+};
+
+/**
+ * Page through a user's history, newest first, optionally only runs whose SQL contains `search`.
+ */
+const listQueryHistory = async (username, { search, limit, offset }) => {
+    await ensureQueryTables();
+    const values = [username];
+    let where = 'WHERE username = $1';
+    if (search) {
+        values.push(`%${search.replace(/[\\%_]/g, '\\$&')}%`);
+        where += ` AND query ILIKE $${values.length}`;
+    }
+
+    const totalResult = await pool.query(`SELECT COUNT(*) FROM ${HISTORY_TABLE} ${where}`, values);
+    const result = await pool.query(
+        `SELECT * FROM ${HISTORY_TABLE} ${where} ORDER BY id DESC LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, limit, offset]
+    );
+    return { totalItems: parseInt(totalResult.rows[0].count), rows: result.rows };
+};
+
+/**
+ * Forget a user's history. Resolves to the number of runs removed.
+ */
+const clearQueryHistory = async (username) => {
+    await ensureQueryTables();
+    const result = await pool.query(`DELETE FROM ${HISTORY_TABLE} WHERE username = $1`, [username]);
+    return result.rowCount;
+};
+
+/**
+ * List the saved queries a user may open: their own first, then those shared with them.
+ */
+const listSavedQueries = async (username) => {
+    await ensureQueryTables();
+    const result = await pool.query(
+        `SELECT ${SAVED_COLUMNS} FROM ${SAVED_TABLE} WHERE ${VISIBLE_TO} ORDER BY owner <> $1, lower(name)`,
+        [username]
+    );
+    return result.rows;
+};
+
+/**
+ * Fetch a saved query the user may open, or null.
+ */
+const getSavedQuery = async (username, id) => {
+    await ensureQueryTables();
+    const result = await pool.query(`SELECT ${SAVED_COLUMNS} FROM ${SAVED_TABLE} WHERE ${VISIBLE_TO} AND id = $2`, [username, id]);
+    return result.rows[0] || null;
+};
+
+/**
+ * Save a query under a name unique to its owner. Resolves to null if the name is taken.
+ */
+const createSavedQuery = async (owner, { name, description, query, parameters, sharedWith }) => {
+    await ensureQueryTables();
+    const result = await pool.query(
+        `INSERT INTO ${SAVED_TABLE} (owner, name, description, query, parameters, shared_with)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (owner, name) DO NOTHING
+         RETURNING ${SAVED_COLUMNS}`,
+        [owner, name, description || null, query, parameters, sharedWith]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Change a saved query of the given owner. Resolves to the updated query, null when the owner
+ * has no such query, or throws the unique violation when renaming onto a taken name.
+ */
+const updateSavedQuery = async (owner, id, changes) => {
+    await ensureQueryTables();
+    const columns = { name: 'name', description: 'description', query: 'query', parameters: 'parameters', sharedWith: 'shared_with' };
+    const entries = Object.entries(changes).filter(([key, value]) => columns[key] && value !== undefined);
+
+    const result = await pool.query(
+        `UPDATE ${SAVED_TABLE}
+         SET ${entries.map(([key], i) => `${columns[key]} = $${i + 3}`).concat('updated_at = now()').join(', ')}
+         WHERE owner = $1 AND id = $2
+         RETURNING ${SAVED_COLUMNS}`,
+        [owner, id, ...entries.map(([, value]) => value)]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Delete a saved query. Admins may delete anyone's; resolves to whether it existed.
+ */
+const deleteSavedQuery = async (username, id, { any = false } = {}) => {
+    await ensureQueryTables();
+    const result = await pool.query(
+        `DELETE FROM ${SAVED_TABLE} WHERE id = $1 AND ($2 OR owner = $3)`,
+        [id, any, username]
+    );
+    return result.rowCount > 0;
+};
+
+module.exports = {
+    EVERYONE,
+    recordQueryHistory,
+    listQueryHistory,
+    clearQueryHistory,
+    listSavedQueries,
+    getSavedQuery,
+    createSavedQuery,
+    updateSavedQuery,
+    deleteSavedQuery,
+};
@@ -0,0 +1,175 @@
+const pool = require('./pool');
+const { DEFAULT_SCHEMA } = require('./connections');
+
+/**
+ * Fetch column metadata for a table, in table order. The table is looked up in the public
+ * schema unless a `target` connection and schema (see db/connections.js) is given.
+ */
+const getTableColumns = async (table, { pool: db = pool, schema = DEFAULT_SCHEMA } = {}) => {
+    const result = await db.query(
+        `
+            SELECT column_name, data_type, is_nullable, column_default, is_identity, is_generated
+            FROM information_schema.columns
+            WHERE table_schema = $2 AND table_name = $1
+            ORDER BY ordinal_position;
+        `,
+        [table, schema]
+    );
+    return result.rows;
+};
+
+/**
+ * List the names of the tables and views in a target's schema (the public schema by default).
+ */
+const listTables = async ({ pool: db = pool, schema = DEFAULT_SCHEMA } = {}) => {
+    const result = await db.query(
+        'SELECT table_name FROM information_schema.tables WHERE table_schema = $1 ORDER BY table_name',
+        [schema]
+    );
+    return result.rows.map(row => row.table_name);
+};
+
+/**
+ * Resolve the primary key columns of a table from the Postgres catalog, in key order.
+ * Tables without a primary key fall back to an `id` column when one exists,
+ * otherwise an empty array is returned.
+ */
+const getPrimaryKey = async (table, target = {}) => {
+    const { pool: db = pool, schema = DEFAULT_SCHEMA } = target;
+    const result = await db.query(
+        `
+            SELECT a.attname AS column_name
+            FROM pg_index i
+            JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+            WHERE i.indrelid = to_regclass(format('%I.%I', $2::text, $1::text)) AND i.indisprimary
+            ORDER BY array_position(i.indkey::int2[], a.attnum);
+        `,
+        [table, schema]
+    );
+    if (result.rows.length) {
+        return result.rows.map(row => row.column_name);
+    }
+
+    const columns = await getTableColumns(table, target);
+    return columns.some(col => col.column_name === 'id') ? ['id'] : [];
+};
+
+// pg_constraint action codes for ON UPDATE / ON DELETE
+const FOREIGN_KEY_ACTIONS = { a: 'NO ACTION', r: 'RESTRICT', c: 'CASCADE', n: 'SET NULL', d: 'SET DEFAULT' };
+
+/**
+ * Describe tables and views in the public schema from pg_catalog: columns with types,
+ * nullability, defaults and enum labels, the primary key, foreign keys, indexes and the planner's
+ * approximate row count (null for views and for tables that were never analyzed).
+ *
+ * Pass a list of table names to describe only those; results are ordered by name.
+ */
+const describeTables = async (tables = null) => {
+    const [relations, columns, indexes, foreignKeys] = await Promise.all([
+        pool.query(
+            `
+                SELECT c.oid, c.relname AS name,
+                       CASE WHEN c.relkind IN ('v', 'm') THEN 'view' ELSE 'table' END AS type,
+                       CASE WHEN c.relkind IN ('r', 'p', 'm') AND c.reltuples >= 0 THEN c.reltuples::bigint END AS approximate_row_count,
+                       obj_description(c.oid, 'pg_class') AS comment
+                FROM pg_class c
+                JOIN pg_namespace n ON n.oid = c.relnamespace
+                WHERE n.nspname = 'public' AND c.relkind IN ('r', 'p', 'v', 'm', 'f')
+                  AND ($1::text[] IS NULL OR c.relname = ANY($1))
+                ORDER BY c.relname;
+            `,
+            [tables]
+        ),
+        pool.query(
+            `
+                SELECT a.attrelid AS oid, a.attname AS name, format_type(a.atttypid, a.atttypmod) AS type,
+                       NOT a.attnotnull AS nullable, pg_get_expr(d.adbin, d.adrelid) AS default,
+                       a.attidentity <> '' AS identity, col_description(a.attrelid, a.attnum) AS comment,
+                       (
+                           SELECT array_agg(e.enumlabel::text ORDER BY e.enumsortorder)
+                           FROM pg_type t
+                           JOIN pg_enum e ON e.enumtypid = COALESCE(NULLIF(t.typelem, 0), t.oid)
+                           WHERE t.oid = a.atttypid
+                       ) AS "enumValues"
+                FROM pg_attribute a
+                JOIN pg_class c ON c.oid = a.attrelid
+                JOIN pg_namespace n ON n.oid = c.relnamespace
+                LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+                WHERE n.nspname = 'public' AND a.attnum > 0 AND NOT a.attisdropped
+                  AND ($1::text[] IS NULL OR c.relname = ANY($1))
+                ORDER BY a.attrelid, a.attnum;
+            `,
+            [tables]
+        ),
+        pool.query(
+            `
+                SELECT i.indrelid AS oid, ic.relname AS name, i.indisunique AS unique, i.indisprimary AS primary,
+                       ARRAY(
+                           SELECT pg_get_indexdef(i.indexrelid, k, true)
+                           FROM generate_series(1, i.indnkeyatts) AS k
+                           ORDER BY k
+                       ) AS columns,
+                       pg_get_indexdef(i.indexrelid) AS definition
+                FROM pg_index i
+                JOIN pg_class ic ON ic.oid = i.indexrelid
+                JOIN pg_class c ON c.oid = i.indrelid
+                JOIN pg_namespace n ON n.oid = c.relnamespace
+                WHERE n.nspname = 'public' AND ($1::text[] IS NULL OR c.relname = ANY($1))
+                ORDER BY i.indrelid, NOT i.indisprimary, ic.relname;
+            `,
+            [tables]
+        ),
+        pool.query(
+            `
+                SELECT con.conrelid AS oid, con.conname AS name,
+                       ARRAY(
+                           SELECT a.attname::text FROM unnest(con.conkey) WITH ORDINALITY AS k(attnum, ord)
+                           JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+                           ORDER BY k.ord
+                       ) AS columns,
+                       rn.nspname AS referenced_schema, rc.relname AS referenced_table,
+                       ARRAY(
+                           SELECT a.attname::text FROM unnest(con.confkey) WITH ORDINALITY AS k(attnum, ord)
+                           JOIN pg_attribute a ON a.attrelid = con.confrelid AND a.attnum = k.attnum
+                           ORDER BY k.ord
+                       ) AS referenced_columns,
+                       con.confupdtype AS on_update, con.confdeltype AS on_delete
+                FROM pg_constraint con
+                JOIN pg_class c ON c.oid = con.conrelid
+                JOIN pg_namespace n ON n.oid = c.relnamespace
+                JOIN pg_class rc ON rc.oid = con.confrelid
+                JOIN pg_namespace rn ON rn.oid = rc.relnamespace
+                WHERE con.contype = 'f' AND n.nspname = 'public' AND ($1::text[] IS NULL OR c.relname = ANY($1))
+                ORDER BY con.conrelid, con.conname;
+            `,
+            [tables]
+        ),
+    ]);
+
+    const forTable = (rows, oid) => rows.filter(row => row.oid === oid).map(({ oid: _oid, ...row }) => row);
+
+    return relations.rows.map(relation => {
+        const tableIndexes = forTable(indexes.rows, relation.oid);
+        const primary = tableIndexes.find(index => index.primary);
+
+        return {
+            name: relation.name,
+            type: relation.type,
+            comment: relation.comment,
+            approximateRowCount: relation.approximate_row_count === null ? null : Number(relation.approximate_row_count),
+            columns: forTable(columns.rows, relation.oid),
+            primaryKey: primary ? primary.columns : [],
+            foreignKeys: forTable(foreignKeys.rows, relation.oid).map(fk => ({
+                name: fk.name,
+                columns: fk.columns,
+                referencedTable: fk.referenced_schema === 'public' ? fk.referenced_table : `${fk.referenced_schema}.${fk.referenced_table}`,
+                referencedColumns: fk.referenced_columns,
+                onUpdate: FOREIGN_KEY_ACTIONS[fk.on_update],
+                onDelete: FOREIGN_KEY_ACTIONS[fk.on_delete],
+            })),
+            indexes: tableIndexes,
+        };
+    });
+};
+
+module.exports = { getTableColumns, listTables, getPrimaryKey, describeTables };
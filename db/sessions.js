@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const session = require('express-session');
+const pool = require('./pool');
+const { internalTable, ensureInternalTable } = require('./internal');
+
+const SESSIONS_TABLE = internalTable('sessions');
+
+// Minutes between deletions of expired sessions
+const PRUNE_MINUTES = parseInt(process.env.SESSION_PRUNE_MINUTES) || 15;
+
+// Lifetime of sessions whose cookie has no expiry
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+let ensured = null;
+
+const ensureSessionsTable = () => {
+    if (!ensured) {
+        ensured = ensureInternalTable('sessions', `
+            id BIGSERIAL PRIMARY KEY,
+            sid_hash TEXT NOT NULL UNIQUE,
+            username TEXT,
+            data JSONB NOT NULL,
+            ip TEXT,
+            user_agent TEXT,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+            last_seen_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+            expires_at TIMESTAMPTZ NOT NULL,
+            revoked_at TIMESTAMPTZ
+        `)
+            // Tables from before session IDs were hashed store them in a sid column; hash them in place
+            .then(() => pool.query(`
+                DO $$
+                BEGIN
+                    IF EXISTS (
+                        SELECT 1 FROM pg_attribute
+                        WHERE attrelid = to_regclass('${SESSIONS_TABLE}') AND attname = 'sid' AND NOT attisdropped
+                    ) THEN
+                        UPDATE ${SESSIONS_TABLE} SET sid = encode(sha256(convert_to(sid, 'UTF8')), 'hex');
+                        ALTER TABLE ${SESSIONS_TABLE} RENAME COLUMN sid TO sid_hash;
+                    END IF;
+                END
+                $$;
+                CREATE INDEX IF NOT EXISTS sessions_username_idx ON ${SESSIONS_TABLE} (username);
+                CREATE INDEX IF NOT EXISTS sessions_expires_at_idx ON ${SESSIONS_TABLE} (expires_at);
+            `))
+            .catch(err => {
+                ensured = null;
+                throw err;
+            });
+    }
+    return ensured;
+};
+
+// Columns safe to return to clients (never the session ID's hash)
+const PUBLIC_COLUMNS = 'id, username, ip, user_agent, created_at, last_seen_at, expires_at';
+
+/**
+ * Sessions are stored under the SHA-256 of their ID, the cookie's secret, so reading the table
+ * does not give anyone a session to sign in with.
+ */
+const hashSid = (sid) => crypto.createHash('sha256').update(String(sid)).digest('hex');
+
+const expiresAt = (sess) =>
+    (sess.cookie && sess.cookie.expires ? new Date(sess.cookie.expires) : new Date(Date.now() + DEFAULT_TTL_MS));
+
+/**
+ * Load a session's data, or null when it does not exist, has expired or was revoked.
+ */
+const readSession = async (sid) => {
+    await ensureSessionsTable();
+    const result = await pool.query(
+        `SELECT data FROM ${SESSIONS_TABLE} WHERE sid_hash = $1 AND expires_at > now() AND revoked_at IS NULL`,
+        [hashSid(sid)]
+    );
+    return result.rows.length ? result.rows[0].data : null;
+};
+
+/**
+ * Save a session. Revoked sessions are left alone, so a request that was still running when
+ * its session was revoked cannot bring it back.
+ */
+const writeSession = async (sid, sess) => {
+    await ensureSessionsTable();
+    const values = [hashSid(sid), sess.user || null, JSON.stringify(sess), sess.ip || null, sess.userAgent || null, expiresAt(sess)];
+
+    // Update first: an upsert would draw a new id from the sequence on every request
+    const updated = await pool.query(
+        `
+            UPDATE ${SESSIONS_TABLE}
+            SET username = $2, data = $3, ip = $4, user_agent = $5, expires_at = $6, last_seen_at = now()
+            WHERE sid_hash = $1 AND revoked_at IS NULL;
+        `,
+        values
+    );
+    if (!updated.rowCount) {
+        await pool.query(
+            `
+                INSERT INTO ${SESSIONS_TABLE} (sid_hash, username, data, ip, user_agent, expires_at)
+                VALUES ($1, $2, $3, $4, $5, $6)
+                ON CONFLICT (sid_hash) DO NOTHING;
+            `,
+            values
+        );
+    }
+};
+
+/**
+ * Extend an unchanged session's expiry.
+ */
+const touchSession = async (sid, sess) => {
+    await ensureSessionsTable();
+    await pool.query(
+        `UPDATE ${SESSIONS_TABLE} SET expires_at = $2, last_seen_at = now() WHERE sid_hash = $1 AND revoked_at IS NULL`,
+        [hashSid(sid), expiresAt(sess)]
+    );
+};
+
+const deleteSession = async (sid) => {
+    await ensureSessionsTable();
+    await pool.query(`DELETE FROM ${SESSIONS_TABLE} WHERE sid_hash = $1`, [hashSid(sid)]);
+};
+
+/**
+ * Settle a promise into a Node-style callback, as express-session expects of its store.
+ */
+const settle = (promise, callback) =>
+    promise.then(result => callback && callback(null, result), err => callback && callback(err));
+
+/**
+ * express-session store keeping sessions in the internal `sessions` table, so they survive
+ * restarts and are shared by every instance using the database. Expired sessions are pruned
+ * every SESSION_PRUNE_MINUTES.
+ */
+class PgSessionStore extends session.Store {
+    constructor() {
+        super();
+        setInterval(() => {
+            pruneSessions().catch(err => console.error('Error pruning sessions:', err.message));
+        }, PRUNE_MINUTES * 60 * 1000).unref();
+    }
+
+    get(sid, callback) {
+        settle(readSession(sid), callback);
+    }
+
+    set(sid, sess, callback) {
+        settle(writeSession(sid, sess), callback);
+    }
+
+    touch(sid, sess, callback) {
+        settle(touchSession(sid, sess), callback);
+    }
+
+    destroy(sid, callback) {
+        settle(deleteSession(sid), callback);
+    }
+}
+
+/**
+ * List a user's active sessions, most recently used first. `current` marks the session
+ * with ID `currentSid`.
+ */
+const listSessions = async (username, currentSid = null) => {
+    await ensureSessionsTable();
+    const result = await pool.query(
+        `
+            SELECT ${PUBLIC_COLUMNS}, sid_hash = $2 AS current
+            FROM ${SESSIONS_TABLE}
+            WHERE username = $1 AND expires_at > now() AND revoked_at IS NULL
+            ORDER BY last_seen_at DESC;
+        `,
+        [username, currentSid && hashSid(currentSid)]
+    );
+    return result.rows;
+};
+
+/**
+ * Revoke one of a user's active sessions. Returns the revoked session, or null if no active
+ * session matched.
+ */
+const revokeSession = async (username, id) => {
+    await ensureSessionsTable();
+    const result = await pool.query(
+        `
+            UPDATE ${SESSIONS_TABLE}
+            SET revoked_at = now()
+            WHERE id = $1 AND username = $2 AND expires_at > now() AND revoked_at IS NULL
+            RETURNING ${PUBLIC_COLUMNS};
+        `,
+        [id, username]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Revoke all of a user's active sessions, signing them out everywhere. Returns how many were revoked.
+ */
+const revokeUserSessions = async (username) => {
+    await ensureSessionsTable();
+    const result = await pool.query(
+        `UPDATE ${SESSIONS_TABLE} SET revoked_at = now() WHERE username = $1 AND expires_at > now() AND revoked_at IS NULL`,
+        [username]
+    );
+    return result.rowCount;
+};
+
+/**
+ * Delete expired sessions, revoked ones included.
+ */
+const pruneSessions = async () => {
+    await ensureSessionsTable();
+    await pool.query(`DELETE FROM ${SESSIONS_TABLE} WHERE expires_at <= now()`);
+};
+
+module.exports = { PgSessionStore, listSessions, revokeSession, revokeUserSessions, pruneSessions };
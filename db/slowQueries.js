@@ -0,0 +1,82 @@
+const pool = require('./pool');
+const { internalTable, ensureInternalTable } = require('./internal');
+
+const SLOW_QUERIES_TABLE = internalTable('slow_queries');
+
+// Queries taking at least this long are kept in the slow query log; 0 keeps every query
+const SLOW_QUERY_MS = process.env.SLOW_QUERY_MS === undefined ? 200 : parseInt(process.env.SLOW_QUERY_MS) || 0;
+
+// Days a logged query is kept
+const RETENTION_DAYS = parseInt(process.env.SLOW_QUERY_RETENTION_DAYS) || 7;
+
+let ensured = null;
+
+const ensureSlowQueriesTable = () => {
+    if (!ensured) {
+        ensured = ensureInternalTable('slow_queries', `
+            id BIGSERIAL PRIMARY KEY,
+            ran_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+            source TEXT NOT NULL,
+            username TEXT,
+            route TEXT,
+            query TEXT NOT NULL,
+            duration_ms NUMERIC(12, 3) NOT NULL,
+            row_count INTEGER,
+            error TEXT
+        `)
+            .then(() => pool.query(`CREATE INDEX IF NOT EXISTS slow_queries_ran_at_idx ON ${SLOW_QUERIES_TABLE} (ran_at)`))
+            .catch(err => {
+                ensured = null;
+                throw err;
+            });
+    }
+    return ensured;
+};
+
+/**
+ * Add a query to the slow query log if it took at least SLOW_QUERY_MS. `source` is
+ * "playground" or "crud"; `route` is the request that ran it.
+ */
+const recordQueryTime = async ({ source, username, route, query, durationMs, rowCount, error }) => {
+    if (durationMs < SLOW_QUERY_MS) return;
+
+    await ensureSlowQueriesTable();
+    await pool.query(
+        `INSERT INTO ${SLOW_QUERIES_TABLE} (source, username, route, query, duration_ms, row_count, error)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [source, username || null, route || null, query, durationMs.toFixed(3), rowCount === undefined ? null : rowCount, error || null]
+    );
+};
+
+/**
+ * List the slowest queries logged since the given time, slowest first,
+ * optionally only those of one source.
+ */
+const listSlowQueries = async ({ source, since, limit }) => {
+    await ensureSlowQueriesTable();
+    const values = [since, limit];
+    let where = 'WHERE ran_at >= $1';
+    if (source) {
+        values.push(source);
+        where += ` AND source = $${values.length}`;
+    }
+
+    const result = await pool.query(
+        `SELECT id, ran_at, source, username, route, query, duration_ms::float AS duration_ms, row_count, error
+         FROM ${SLOW_QUERIES_TABLE} ${where}
+         ORDER BY duration_ms DESC, id DESC
+         LIMIT $2`,
+        values
+    );
+    return result.rows;
+};
+
+/**
+ * Remove logged queries older than SLOW_QUERY_RETENTION_DAYS.
+ */
+const pruneSlowQueries = async () => {
+    await ensureSlowQueriesTable();
+    await pool.query(`DELETE FROM ${SLOW_QUERIES_TABLE} WHERE ran_at < now() - make_interval(days => $1)`, [RETENTION_DAYS]);
+};
+
+module.exports = { SLOW_QUERY_MS, recordQueryTime, listSlowQueries, pruneSlowQueries };
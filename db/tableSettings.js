@@ -0,0 +1,144 @@
+const pool = require('./pool');
+const { internalTable, ensureInternalTable } = require('./internal');
+const { withTransaction } = require('./transaction');
+const { recordAudit } = require('./audit');
+const { enableVersioning, disableVersioning, renameVersions } = require('./versions');
+const { enableChangeFeed, disableChangeFeed, renameChangeEvents } = require('./changeFeed');
+const { renameWebhookTable } = require('./webhooks');
+const { getTableColumns } = require('./schema');
+const { DEFAULT_CONNECTION, resolveTarget, parseTableKey, qualifiedTable } = require('./connections');
+const { HttpError } = require('../utils/errors');
+const { quoteIdent } = require('../utils/queryBuilder');
+
+// Soft-deleted rows have this column set; it is added when soft delete is turned on
+const SOFT_DELETE_COLUMN = 'deleted_at';
+
+const SETTINGS_TABLE = internalTable('table_settings');
+
+const DEFAULT_SETTINGS = { softDelete: false, versioning: false, changeFeed: false };
+
+// Settings implemented as a trigger on the table, with the functions adding and removing it
+const TRIGGER_SETTINGS = {
+    versioning: [enableVersioning, disableVersioning],
+    changeFeed: [enableChangeFeed, disableChangeFeed],
+};
+
+let ensured = null;
+
+const ensureSettingsTable = () => {
+    if (!ensured) {
+        ensured = ensureInternalTable('table_settings', `
+            table_name TEXT PRIMARY KEY,
+            soft_delete BOOLEAN NOT NULL DEFAULT false,
+            versioning BOOLEAN NOT NULL DEFAULT false,
+            change_feed BOOLEAN NOT NULL DEFAULT false,
+            updated_by TEXT,
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        `)
+            // Tables created before the change feed existed lack its column
+            .then(() => pool.query(`ALTER TABLE ${SETTINGS_TABLE} ADD COLUMN IF NOT EXISTS change_feed BOOLEAN NOT NULL DEFAULT false`))
+            .catch(err => {
+                ensured = null;
+                throw err;
+            });
+    }
+    return ensured;
+};
+
+/**
+ * Read the opt-in behaviours of a table: `{ softDelete, versioning, changeFeed }`.
+ */
+const getTableSettings = async (table, client = pool) => {
+    await ensureSettingsTable();
+    const result = await client.query(
+        `SELECT soft_delete AS "softDelete", versioning, change_feed AS "changeFeed"
+         FROM ${SETTINGS_TABLE} WHERE table_name = $1`,
+        [table]
+    );
+    return result.rows[0] || { ...DEFAULT_SETTINGS };
+};
+
+/**
+ * Turn soft delete, versioning and/or the change feed on or off for a table, given by its table key.
+ * Only tables of the main database qualify, as the triggers write to its internal tables.
+ *
+ * Turning soft delete on adds a nullable `deleted_at` timestamp column when the table has none.
+ * Versioning and the change feed are triggers on the table, so they also cover changes made
+ * outside the API. Resolves to the new settings.
+ */
+const updateTableSettings = async (req, key, changes) => {
+    const unknown = Object.keys(changes || {}).filter(key => !(key in DEFAULT_SETTINGS));
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes) || unknown.length) {
+        throw new HttpError(400, `Settings must be an object with: ${Object.keys(DEFAULT_SETTINGS).join(', ')}.`);
+    }
+    if (Object.values(changes).some(value => typeof value !== 'boolean')) {
+        throw new HttpError(400, 'Settings values must be true or false.');
+    }
+
+    const { connection, schema, table } = parseTableKey(key);
+    if (connection !== DEFAULT_CONNECTION) {
+        throw new HttpError(400, 'Table settings are only available for tables of the main database.');
+    }
+    const target = resolveTarget(connection, schema);
+    const relation = qualifiedTable(target, table);
+
+    const columns = await getTableColumns(table, target);
+    if (!columns.length) {
+        throw new HttpError(404, `Table ${key} does not exist.`);
+    }
+
+    await ensureSettingsTable();
+    return withTransaction(async (client) => {
+        const before = await getTableSettings(key, client);
+        const after = { ...before, ...changes };
+
+        if (after.softDelete && !before.softDelete) {
+            const existing = columns.find(col => col.column_name === SOFT_DELETE_COLUMN);
+            if (existing && !existing.data_type.startsWith('timestamp')) {
+                throw new HttpError(400, `Table ${key} has a ${SOFT_DELETE_COLUMN} column of type ${existing.data_type}; soft delete needs a timestamp.`);
+            }
+            if (!existing) {
+                await client.query(`ALTER TABLE ${relation} ADD COLUMN ${quoteIdent(SOFT_DELETE_COLUMN)} TIMESTAMPTZ`);
+            }
+        }
+        for (const [setting, [enable, disable]] of Object.entries(TRIGGER_SETTINGS)) {
+            if (after[setting] !== before[setting]) {
+                await (after[setting] ? enable : disable)(client, relation);
+            }
+        }
+
+        await client.query(
+            `INSERT INTO ${SETTINGS_TABLE} (table_name, soft_delete, versioning, change_feed, updated_by)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (table_name) DO UPDATE
+             SET soft_delete = EXCLUDED.soft_delete, versioning = EXCLUDED.versioning,
+                 change_feed = EXCLUDED.change_feed, updated_by = EXCLUDED.updated_by, updated_at = now()`,
+            [key, after.softDelete, after.versioning, after.changeFeed, req.user ? req.user.username : null]
+        );
+        await recordAudit(req, { action: 'table_settings', table: key, before, after }, client);
+        return after;
+    });
+};
+
+/**
+ * Carry a table's settings, stored versions, change events and webhooks over a rename, and forget its
+ * settings when it is dropped (its stored versions are kept). Runs inside the schema change transaction.
+ */
+const syncTableSettings = async (client, operations) => {
+    const renames = operations.filter(({ op }) => op === 'rename_table');
+    const drops = operations.filter(({ op }) => op === 'drop_table');
+    if (!renames.length && !drops.length) return;
+
+    await ensureSettingsTable();
+    for (const { table, newName } of renames) {
+        await client.query(`UPDATE ${SETTINGS_TABLE} SET table_name = $2 WHERE table_name = $1`, [table, newName]);
+        await renameVersions(client, table, newName);
+        await renameChangeEvents(client, table, newName);
+        await renameWebhookTable(client, table, newName);
+    }
+    for (const { table } of drops) {
+        await client.query(`DELETE FROM ${SETTINGS_TABLE} WHERE table_name = $1`, [table]);
+    }
+};
+
+module.exports = { SOFT_DELETE_COLUMN, getTableSettings, updateTableSettings, syncTableSettings };
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const pool = require('./pool');
+const { internalTable, ensureInternalTable } = require('./internal');
+
+const TOKENS_TABLE = internalTable('api_tokens');
+
+// Prefix identifying personal access tokens issued by this server
+const TOKEN_PREFIX = 'gdb_';
+
+// Token scopes: read-only, or everything the owning user may do
+const SCOPES = ['read', 'read-write'];
+
+const ensureTokensTable = () =>
+    ensureInternalTable('api_tokens', `
+        id SERIAL PRIMARY KEY,
+        username TEXT NOT NULL,
+        name TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        token_prefix TEXT NOT NULL,
+        scope TEXT NOT NULL,
+        tables TEXT[],
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        expires_at TIMESTAMPTZ,
+        last_used_at TIMESTAMPTZ,
+        revoked_at TIMESTAMPTZ
+    `);
+
+/**
+ * Hash a token for storage and lookup. Tokens are long random strings,
+ * so a fast SHA-256 digest is sufficient (unlike passwords).
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Columns safe to return to clients (never the hash)
+const PUBLIC_COLUMNS = 'id, username, name, token_prefix, scope, tables, created_at, expires_at, last_used_at, revoked_at';
+
+/**
+ * Issue a new token for a user. The plaintext token is only ever returned here.
+ */
+const createToken = async (username, { name, scope, tables = null, expiresInDays = null }) => {
+    await ensureTokensTable();
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const result = await pool.query(
+        `
+            INSERT INTO ${TOKENS_TABLE} (username, name, token_hash, token_prefix, scope, tables, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6, CASE WHEN $7::int IS NULL THEN NULL ELSE now() + make_interval(days => $7::int) END)
+            RETURNING ${PUBLIC_COLUMNS};
+        `,
+        [username, name, hashToken(token), token.slice(0, TOKEN_PREFIX.length + 6), scope, tables, expiresInDays]
+    );
+    return { ...result.rows[0], token };
+};
+
+/**
+ * List tokens, newest first, for one user or for everyone when `username` is null.
+ */
+const listTokens = async (username) => {
+    await ensureTokensTable();
+
+    const result = await pool.query(
+        `
+            SELECT ${PUBLIC_COLUMNS}
+            FROM ${TOKENS_TABLE}
+            WHERE $1::text IS NULL OR username = $1
+            ORDER BY created_at DESC;
+        `,
+        [username]
+    );
+    return result.rows;
+};
+
+/**
+ * Revoke a token. When `username` is given, only that user's token can be revoked.
+ * Returns the revoked token, or null if no active token matched.
+ */
+const revokeToken = async (id, username) => {
+    await ensureTokensTable();
+
+    const result = await pool.query(
+        `
+            UPDATE ${TOKENS_TABLE}
+            SET revoked_at = now()
+            WHERE id = $1 AND revoked_at IS NULL AND ($2::text IS NULL OR username = $2)
+            RETURNING ${PUBLIC_COLUMNS};
+        `,
+        [id, username]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Find the active (not revoked, not expired) token matching a plaintext token and record its use.
+ */
+const findActiveToken = async (token) => {
+    if (!token || !token.startsWith(TOKEN_PREFIX)) return null;
+    await ensureTokensTable();
+
+    const result = await pool.query(
+        `
+            UPDATE ${TOKENS_TABLE}
+            SET last_used_at = now()
+            WHERE token_hash = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > now())
+            RETURNING ${PUBLIC_COLUMNS};
+        `,
+        [hashToken(token)]
+    );
+    return result.rows[0] || null;
+};
+
+module.exports = { SCOPES, createToken, listTokens, revokeToken, findActiveToken };
@@ -0,0 +1,34 @@
+const pool = require('./pool');
+
+/**
+ * Record who is running the current transaction, for the row version triggers.
+ */
+const setTransactionUser = (client, user) =>
+    client.query("SELECT set_config('app.username', $1, true)", [user.username || '']);
+
+/**
+ * Run `callback(client)` inside a transaction on a dedicated pool client.
+ * Commits when the callback resolves and rolls back when it throws.
+ * The acting `user`, when given, is exposed to triggers as current_setting('app.username').
+ * `db` is the pool of the connection to use, the default database unless given.
+ */
+const withTransaction = async (callback, user = null, db = pool) => {
+    const client = await db.connect();
+
+    try {
+        await client.query('BEGIN');
+        if (user) {
+            await setTransactionUser(client, user);
+        }
+        const result = await callback(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = { withTransaction, setTransactionUser };
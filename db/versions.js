@@ -0,0 +1,116 @@
+const pool = require('./pool');
+const { INTERNAL_SCHEMA, internalTable, ensureInternalTable } = require('./internal');
+const { TRIGGER_TABLE_KEY } = require('./connections');
+const { quoteIdent } = require('../utils/queryBuilder');
+
+const VERSIONS_TABLE = internalTable('row_versions');
+const VERSION_FUNCTION = `${quoteIdent(INTERNAL_SCHEMA)}.${quoteIdent('record_row_version')}`;
+const VERSION_TRIGGER = 'record_row_version';
+
+let ensured = null;
+
+/**
+ * Create the version table and the trigger function that copies the previous version of a
+ * row into it, under the table's key. The acting user comes from withTransaction (or the SQL Playground).
+ */
+const ensureVersionsTable = () => {
+    if (!ensured) {
+        ensured = ensureInternalTable('row_versions', `
+            id BIGSERIAL PRIMARY KEY,
+            table_name TEXT NOT NULL,
+            operation TEXT NOT NULL,
+            data JSONB NOT NULL,
+            changed_by TEXT,
+            changed_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        `)
+            .then(() => pool.query(`
+                CREATE INDEX IF NOT EXISTS row_versions_table_name_idx ON ${VERSIONS_TABLE} (table_name, changed_at);
+                CREATE OR REPLACE FUNCTION ${VERSION_FUNCTION}() RETURNS trigger LANGUAGE plpgsql AS $$
+                BEGIN
+                    IF TG_OP = 'UPDATE' AND OLD IS NOT DISTINCT FROM NEW THEN
+                        RETURN NULL;
+                    END IF;
+                    INSERT INTO ${VERSIONS_TABLE} (table_name, operation, data, changed_by)
+                    VALUES (${TRIGGER_TABLE_KEY}, lower(TG_OP), to_jsonb(OLD), nullif(current_setting('app.username', true), ''));
+                    RETURN NULL;
+                END
+                $$;
+            `))
+            .catch(err => {
+                ensured = null;
+                throw err;
+            });
+    }
+    return ensured;
+};
+
+/**
+ * Start keeping the previous version of every updated or deleted row of a table, given as a
+ * qualified relation.
+ */
+const enableVersioning = async (client, relation) => {
+    await ensureVersionsTable();
+    await client.query(`
+        DROP TRIGGER IF EXISTS ${quoteIdent(VERSION_TRIGGER)} ON ${relation};
+        CREATE TRIGGER ${quoteIdent(VERSION_TRIGGER)} AFTER UPDATE OR DELETE ON ${relation}
+            FOR EACH ROW EXECUTE FUNCTION ${VERSION_FUNCTION}();
+    `);
+};
+
+/**
+ * Stop recording versions of a table. Versions recorded so far are kept.
+ */
+const disableVersioning = (client, relation) =>
+    client.query(`DROP TRIGGER IF EXISTS ${quoteIdent(VERSION_TRIGGER)} ON ${relation}`);
+
+/**
+ * Move the stored versions of a renamed table to its new name.
+ */
+const renameVersions = async (client, table, newName) => {
+    await ensureVersionsTable();
+    await client.query(`UPDATE ${VERSIONS_TABLE} SET table_name = $2 WHERE table_name = $1`, [table, newName]);
+};
+
+/**
+ * Match versions of one row: the stored row's key columns equal the given key values.
+ */
+const keyConditions = (keyColumns, keyValues, values) =>
+    keyColumns.map((column, i) => {
+        values.push(column, String(keyValues[i]));
+        return `data ->> $${values.length - 1} = $${values.length}`;
+    });
+
+/**
+ * List the stored versions of a row, newest first.
+ */
+const listVersions = async (table, keyColumns, keyValues, { limit = 50 } = {}) => {
+    await ensureVersionsTable();
+    const values = [table];
+    const conditions = ['table_name = $1', ...keyConditions(keyColumns, keyValues, values)];
+
+    const result = await pool.query(
+        `SELECT id AS version, operation, changed_by AS "changedBy", changed_at AS "changedAt", data
+         FROM ${VERSIONS_TABLE} WHERE ${conditions.join(' AND ')}
+         ORDER BY changed_at DESC, id DESC LIMIT $${values.length + 1}`,
+        [...values, limit]
+    );
+    return result.rows;
+};
+
+/**
+ * Fetch one stored version of a row, or null when it does not exist or belongs to another row.
+ */
+const getVersion = async (table, keyColumns, keyValues, version, client = pool) => {
+    await ensureVersionsTable();
+    const values = [table, version];
+    const conditions = ['table_name = $1', 'id = $2', ...keyConditions(keyColumns, keyValues, values)];
+
+    const result = await client.query(
+        `SELECT id AS version, operation, changed_by AS "changedBy", changed_at AS "changedAt", data
+         FROM ${VERSIONS_TABLE} WHERE ${conditions.join(' AND ')}`,
+        values
+    );
+    return result.rows[0] || null;
+};
+
+module.exports = { enableVersioning, disableVersioning, renameVersions, listVersions, getVersion };
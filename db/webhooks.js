@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const pool = require('./pool');
+const { internalTable, ensureInternalTable } = require('./internal');
+
+const WEBHOOKS_TABLE = internalTable('webhooks');
+const DELIVERIES_TABLE = internalTable('webhook_deliveries');
+
+// Row changes a webhook can subscribe to, named like their audit log actions
+const WEBHOOK_EVENTS = ['insert', 'upsert', 'update', 'delete', 'soft_delete', 'restore'];
+
+// A claimed delivery is retried after this long if the process sending it dies
+const DELIVERY_LEASE_SECONDS = 120;
+
+let ensured = null;
+
+const ensureWebhookTables = () => {
+    if (!ensured) {
+        ensured = ensureInternalTable('webhooks', `
+            id SERIAL PRIMARY KEY,
+            table_name TEXT NOT NULL,
+            events TEXT[] NOT NULL,
+            url TEXT NOT NULL,
+            secret TEXT NOT NULL,
+            active BOOLEAN NOT NULL DEFAULT true,
+            created_by TEXT,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        `)
+            .then(() => ensureInternalTable('webhook_deliveries', `
+                id BIGSERIAL PRIMARY KEY,
+                webhook_id INTEGER NOT NULL REFERENCES ${WEBHOOKS_TABLE} (id) ON DELETE CASCADE,
+                event TEXT NOT NULL,
+                payload JSONB NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                attempts INTEGER NOT NULL DEFAULT 0,
+                next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+                last_status_code INTEGER,
+                last_error TEXT,
+                last_attempt_at TIMESTAMPTZ,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+                delivered_at TIMESTAMPTZ
+            `))
+            .then(() => pool.query(`
+                CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx ON ${DELIVERIES_TABLE} (next_attempt_at) WHERE status = 'pending';
+                CREATE INDEX IF NOT EXISTS webhook_deliveries_webhook_idx ON ${DELIVERIES_TABLE} (webhook_id, id);
+            `))
+            .catch(err => {
+                ensured = null;
+                throw err;
+            });
+    }
+    return ensured;
+};
+
+// Columns safe to return to clients (never the secret)
+const PUBLIC_COLUMNS = 'id, table_name, events, url, active, created_by, created_at, updated_at';
+
+/**
+ * Generate a signing secret for a webhook.
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+/**
+ * Subscribe a URL to changes of a table. The secret is only ever returned here.
+ */
+const createWebhook = async (username, { table, events, url, secret = generateSecret(), active = true }) => {
+    await ensureWebhookTables();
+    const result = await pool.query(
+        `INSERT INTO ${WEBHOOKS_TABLE} (table_name, events, url, secret, active, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING ${PUBLIC_COLUMNS}`,
+        [table, events, url, secret, active, username]
+    );
+    return { ...result.rows[0], secret };
+};
+
+/**
+ * List webhooks, optionally for one table.
+ */
+const listWebhooks = async (table = null) => {
+    await ensureWebhookTables();
+    const result = await pool.query(
+        `SELECT ${PUBLIC_COLUMNS} FROM ${WEBHOOKS_TABLE} WHERE $1::text IS NULL OR table_name = $1 ORDER BY id`,
+        [table]
+    );
+    return result.rows;
+};
+
+const getWebhook = async (id) => {
+    await ensureWebhookTables();
+    const result = await pool.query(`SELECT ${PUBLIC_COLUMNS} FROM ${WEBHOOKS_TABLE} WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+};
+
+/**
+ * Change a webhook's events, url, secret or active flag. Returns null if it does not exist.
+ */
+const updateWebhook = async (id, changes) => {
+    await ensureWebhookTables();
+    const columns = { events: 'events', url: 'url', secret: 'secret', active: 'active' };
+    const entries = Object.entries(changes).filter(([key, value]) => columns[key] && value !== undefined);
+    if (!entries.length) return getWebhook(id);
+
+    const result = await pool.query(
+        `UPDATE ${WEBHOOKS_TABLE}
+         SET ${entries.map(([key], i) => `${columns[key]} = $${i + 2}`).join(', ')}, updated_at = now()
+         WHERE id = $1
+         RETURNING ${PUBLIC_COLUMNS}`,
+        [id, ...entries.map(([, value]) => value)]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Delete a webhook and its delivery log. Returns whether it existed.
+ */
+const deleteWebhook = async (id) => {
+    await ensureWebhookTables();
+    const result = await pool.query(`DELETE FROM ${WEBHOOKS_TABLE} WHERE id = $1`, [id]);
+    return result.rowCount > 0;
+};
+
+/**
+ * Queue a delivery for every active webhook subscribed to these row changes, resolving to
+ * the number queued.
+ *
+ * Each entry is an audit entry `{ action, table, rowId, before, after }`. Pass the write's
+ * transaction client: deliveries become visible to the sender only once the change commits,
+ * and disappear with it if it rolls back.
+ */
+const queueWebhookDeliveries = async (req, entries, client = pool) => {
+    const list = (Array.isArray(entries) ? entries : [entries])
+        .filter(entry => entry && WEBHOOK_EVENTS.includes(entry.action));
+    if (!list.length) return 0;
+    await ensureWebhookTables();
+
+    const user = req.user || {};
+    const occurredAt = new Date().toISOString();
+    const records = list.map(entry => ({
+        event: entry.action,
+        table_name: entry.table,
+        payload: {
+            event: entry.action,
+            table: entry.table,
+            rowId: entry.rowId === undefined || entry.rowId === null ? null : String(entry.rowId),
+            before: entry.before || null,
+            after: entry.after || null,
+            username: user.username || null,
+            occurredAt,
+        },
+    }));
+
+    const result = await client.query(
+        `INSERT INTO ${DELIVERIES_TABLE} (webhook_id, event, payload)
+         SELECT w.id, e.event, e.payload
+         FROM jsonb_to_recordset($1::jsonb) AS e(event TEXT, table_name TEXT, payload JSONB)
+         JOIN ${WEBHOOKS_TABLE} w ON w.table_name = e.table_name AND w.active AND e.event = ANY (w.events)`,
+        [JSON.stringify(records)]
+    );
+    return result.rowCount;
+};
+
+/**
+ * Queue a `ping` delivery to a webhook, to check its endpoint and signature handling.
+ */
+const queuePing = async (webhook, username) => {
+    await ensureWebhookTables();
+    const result = await pool.query(
+        `INSERT INTO ${DELIVERIES_TABLE} (webhook_id, event, payload) VALUES ($1, 'ping', $2) RETURNING id`,
+        [webhook.id, { event: 'ping', table: webhook.table_name, username, occurredAt: new Date().toISOString() }]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Claim up to `limit` due deliveries, with their webhook's url and secret. Claiming counts an
+ * attempt and pushes next_attempt_at out by a lease, so no other process sends them meanwhile.
+ */
+const claimDueDeliveries = async (limit) => {
+    await ensureWebhookTables();
+    const result = await pool.query(
+        `UPDATE ${DELIVERIES_TABLE} d
+         SET attempts = d.attempts + 1, last_attempt_at = now(),
+             next_attempt_at = now() + make_interval(secs => $2)
+         FROM ${WEBHOOKS_TABLE} w
+         WHERE w.id = d.webhook_id AND d.id IN (
+             SELECT due.id FROM ${DELIVERIES_TABLE} due
+             JOIN ${WEBHOOKS_TABLE} hook ON hook.id = due.webhook_id AND hook.active
+             WHERE due.status = 'pending' AND due.next_attempt_at <= now()
+             ORDER BY due.next_attempt_at
+             LIMIT $1
+             FOR UPDATE OF due SKIP LOCKED
+         )
+         RETURNING d.id, d.webhook_id, d.event, d.payload, d.attempts, w.url, w.secret`,
+        [limit, DELIVERY_LEASE_SECONDS]
+    );
+    return result.rows;
+};
+
+/**
+ * Record the outcome of an attempt: `succeeded`, `failed` (no more retries), or still
+ * `pending` with the time of the next attempt.
+ */
+const recordDeliveryAttempt = (id, { status, statusCode = null, error = null, retryInSeconds = null }) =>
+    pool.query(
+        `UPDATE ${DELIVERIES_TABLE}
+         SET status = $2, last_status_code = $3, last_error = $4,
+             delivered_at = CASE WHEN $2 = 'succeeded' THEN now() END,
+             next_attempt_at = CASE WHEN $5::int IS NULL THEN next_attempt_at ELSE now() + make_interval(secs => $5::int) END
+         WHERE id = $1`,
+        [id, status, statusCode, error, retryInSeconds]
+    );
+
+/**
+ * Page through a webhook's deliveries, newest first, optionally filtered by status.
+ */
+const listDeliveries = async (webhookId, { status, limit, offset }) => {
+    await ensureWebhookTables();
+    const values = [webhookId];
+    let where = 'WHERE webhook_id = $1';
+    if (status) {
+        values.push(status);
+        where += ` AND status = $${values.length}`;
+    }
+
+    const totalResult = await pool.query(`SELECT COUNT(*) FROM ${DELIVERIES_TABLE} ${where}`, values);
+    const result = await pool.query(
+        `SELECT * FROM ${DELIVERIES_TABLE} ${where} ORDER BY id DESC LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, limit, offset]
+    );
+    return { totalItems: parseInt(totalResult.rows[0].count), rows: result.rows };
+};
+
+/**
+ * Send a failed delivery again as soon as possible, with a fresh set of attempts.
+ * Returns the delivery, or null if the webhook has no failed delivery with this id.
+ */
+const retryDelivery = async (webhookId, deliveryId) => {
+    await ensureWebhookTables();
+    const result = await pool.query(
+        `UPDATE ${DELIVERIES_TABLE}
+         SET status = 'pending', attempts = 0, next_attempt_at = now()
+         WHERE id = $1 AND webhook_id = $2 AND status = 'failed'
+         RETURNING *`,
+        [deliveryId, webhookId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Remove finished deliveries older than the given number of days.
+ */
+const pruneDeliveries = (days) =>
+    pool.query(
+        `DELETE FROM ${DELIVERIES_TABLE} WHERE status <> 'pending' AND created_at < now() - make_interval(days => $1)`,
+        [days]
+    );
+
+/**
+ * Point a renamed table's webhooks at its new name. Runs inside the schema change transaction.
+ */
+const renameWebhookTable = async (client, table, newName) => {
+    await ensureWebhookTables();
+    await client.query(`UPDATE ${WEBHOOKS_TABLE} SET table_name = $2 WHERE table_name = $1`, [table, newName]);
+};
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    createWebhook,
+    listWebhooks,
+    getWebhook,
+    updateWebhook,
+    deleteWebhook,
+    queueWebhookDeliveries,
+    queuePing,
+    claimDueDeliveries,
+    recordDeliveryAttempt,
+    listDeliveries,
+    retryDelivery,
+    pruneDeliveries,
+    renameWebhookTable,
+};
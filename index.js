@@ -7,15 +7,37 @@ const fs = require('fs');
 const path = require('path');
 const rateLimit = require('express-rate-limit');
 const bcrypt = require('bcrypt'); // For secure password hashing
-const pool = require('./db/pool'); // Database connection pool
 const crudRoutes = require('./routes/crud'); // Import dynamic CRUD routes
+const playgroundRoutes = require('./routes/playground'); // SQL Playground query and export routes
+const savedQueryRoutes = require('./routes/savedQueries'); // SQL Playground history and saved queries
+const tokenRoutes = require('./routes/tokens'); // Personal access token management
+const auditRoutes = require('./routes/audit'); // Audit log review
+const webhookRoutes = require('./routes/webhooks'); // Outgoing webhook management
+const userRoutes = require('./routes/users'); // User account management
+const loginRoutes = require('./routes/logins'); // Login log and lockouts
+const slowQueryRoutes = require('./routes/slowQueries'); // Slow query log
+const schemaRoutes = require('./routes/schema'); // Table columns, keys and indexes
+const connectionRoutes = require('./routes/connections'); // Tables of other schemas and databases
+const sessionRoutes = require('./routes/sessions'); // The user's own sessions
+const { loadUsers, watchUsers, getUser } = require('./utils/users'); // users.json access
+const { requireLogin, requireSession } = require('./middleware/auth'); // Session and API token authentication
+const { can, canUseConnection } = require('./utils/permissions'); // Role, per-table and per-connection permissions
+const { describeTables, listTables } = require('./db/schema'); // Live table metadata
+const { resolveTarget, tableKey } = require('./db/connections'); // Named connections and schemas
+const { buildOpenApiSpec } = require('./utils/openapi'); // Per-table OpenAPI paths and schemas
+const { requirePermission } = require('./middleware/permissions');
+const { trackQueryTimes, timeQueries } = require('./middleware/queryTiming'); // Slow query logging
+const { startWebhookWorker } = require('./utils/webhookDelivery'); // Background webhook sender
+const { PgSessionStore } = require('./db/sessions'); // Sessions kept in Postgres
+const { recordLoginAttempt, findLockout, recordLoginFailure, clearLoginFailures } = require('./db/loginAttempts'); // Login log and lockouts
 require('dotenv').config(); // Load environment variables from .env
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Middleware for parsing JSON and URL-encoded form data
-app.use(bodyParser.json());
+// The JSON limit is raised so bulk endpoints can accept thousands of rows per request
+app.use(bodyParser.json({ limit: process.env.JSON_BODY_LIMIT || '10mb' }));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Create logs directory if it doesn't exist
@@ -27,27 +49,27 @@ if (!fs.existsSync(logsDir)) {
 // Define login attempts log file
 const logFilePath = path.join(logsDir, 'login_attempts.log');
 
-// Log login attempts
-const logLoginAttempt = (username, status) => {
-    const logEntry = `${new Date().toISOString()} - Username: ${username}, Status: ${status}\n`;
+// Log login attempts to the log file and the login log table
+const logLoginAttempt = (username, ip, status, reason = null) => {
+    const logEntry = `${new Date().toISOString()} - Username: ${username || 'Unknown'}, IP: ${ip}, Status: ${status}${reason ? ` (${reason})` : ''}\n`;
     fs.appendFileSync(logFilePath, logEntry, 'utf8');
+    recordLoginAttempt({ username, ip, success: status === 'Success', reason })
+        .catch(err => console.error('Error writing login log:', err.message));
 };
 
-// Load users from users.json
-const usersFilePath = './users.json';
-let users = {};
+// Explain a lockout on the login page, without revealing whether the username exists
+const lockoutMessage = (lockout) => {
+    const minutes = Math.max(1, Math.ceil((new Date(lockout.lockedUntil) - Date.now()) / 60000));
+    const source = lockout.kind === 'ip' ? 'from your network' : 'for this account';
+    return `Too many failed login attempts ${source}. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+};
 
-if (fs.existsSync(usersFilePath)) {
-    try {
-        users = JSON.parse(fs.readFileSync(usersFilePath, 'utf8'));
-        console.log('Users loaded securely from users.json');
-    } catch (err) {
-        console.error('Error reading users.json:', err);
-        users = {};
-    }
-} else {
-    console.error('Error: users.json file not found. Ensure this file exists locally.');
-}
+// Load users from users.json, and reload them when the file changes
+loadUsers();
+watchUsers();
+
+// Time the statements run for CRUD requests, for the slow query log
+trackQueryTimes();
 
 // Prevent sensitive data from being sent to the client
 const hideSensitiveData = (req, res, next) => {
@@ -56,9 +78,11 @@ const hideSensitiveData = (req, res, next) => {
 };
 app.use(hideSensitiveData);
 
-// Configure session middleware using SESSION_SECRET from .env
+// Configure session middleware using SESSION_SECRET from .env; sessions are kept in Postgres
+// so they survive restarts and are shared between instances
 app.use(
     session({
+        store: new PgSessionStore(),
         secret: process.env.SESSION_SECRET || 'fallback-secret-key', // Fallback if SESSION_SECRET is not set
         resave: false,
         saveUninitialized: false,
@@ -70,25 +94,6 @@ app.use(
     })
 );
 
-// Middleware to protect routes and enforce session validity
-const requireLogin = (req, res, next) => {
-    try {
-        if (req.session.user) {
-            // Reset session expiration on activity
-            req.session._garbage = Date();
-            req.session.touch();
-            next();
-        } else {
-            // Save the intended URL and redirect to login
-            req.session.redirectTo = req.originalUrl;
-            res.redirect('/login');
-        }
-    } catch (err) {
-        console.error('Error in requireLogin middleware:', err.message);
-        res.status(500).send('Internal server error');
-    }
-};
-
 // Rate limiter middleware
 const apiLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
@@ -109,21 +114,37 @@ app.get('/login', (req, res) => {
 
 // Handle login requests
 app.post('/login', async (req, res) => {
-    const { username, password } = req.body;
+    const { password } = req.body;
+    const username = typeof req.body.username === 'string' ? req.body.username : '';
+    const ip = req.ip;
 
     try {
+        // Refuse locked usernames and addresses before checking the password, so guessing gets nowhere
+        const lockout = await findLockout(username, ip);
+        if (lockout) {
+            logLoginAttempt(username, ip, 'Locked', `${lockout.kind} locked`);
+            return res.redirect(`/login?error=${encodeURIComponent(lockoutMessage(lockout))}`);
+        }
+
         // Check credentials
-        if (users[username] && (await bcrypt.compare(password, users[username]))) {
+        const user = getUser(username);
+        if (user && (await bcrypt.compare(password, user.password))) {
+            await clearLoginFailures(username, ip);
             req.session.user = username;
-            logLoginAttempt(username, 'Success');
+            // Shown in the user's list of active sessions
+            req.session.ip = ip;
+            req.session.userAgent = req.get('User-Agent') || null;
+            logLoginAttempt(username, ip, 'Success');
 
             // Redirect to the originally intended URL or default to /sql-playground
             const redirectTo = req.session.redirectTo || '/sql-playground';
             delete req.session.redirectTo; // Clear the redirectTo session variable
             res.redirect(redirectTo);
         } else {
-            logLoginAttempt(username || 'Unknown', 'Failure');
-            res.redirect('/login?error=Invalid%20credentials'); // Pass error message
+            const newLockout = await recordLoginFailure(username, ip);
+            logLoginAttempt(username, ip, 'Failure', newLockout ? `${newLockout.kind} locked` : 'invalid credentials');
+            const message = newLockout ? lockoutMessage(newLockout) : 'Invalid credentials';
+            res.redirect(`/login?error=${encodeURIComponent(message)}`); // Pass error message
         }
     } catch (err) {
         console.error('Error handling login:', err.message);
@@ -131,65 +152,52 @@ app.post('/login', async (req, res) => {
     }
 });
 
-// Fetch all available tables dynamically
+// Fetch all available tables dynamically, of the default connection's public schema unless
+// `connection` and `schema` are given
 app.get('/api/tables', requireLogin, async (req, res) => {
     try {
-        const result = await pool.query(`
-            SELECT table_name
-            FROM information_schema.tables
-            WHERE table_schema = 'public';
-        `);
-        const tables = result.rows.map(row => row.table_name);
+        const target = resolveTarget(req.query.connection || undefined, req.query.schema || undefined);
+        if (!canUseConnection(req.user, target.connection)) {
+            return res.status(403).json({ error: `You do not have access to connection ${target.connection}.` });
+        }
+        // Only list the tables the user may read
+        const tables = (await listTables(target)).filter(table => can(req.user, 'read', tableKey(target, table)));
         res.status(200).json({ tables });
     } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
         console.error('Error fetching tables:', err.message);
         res.status(500).json({ error: 'Failed to fetch tables' });
     }
 });
 
-// Create a new table dynamically
-app.post('/api/tables', requireLogin, async (req, res) => {
-    const { tableName, columns } = req.body;
+// Route SQL Playground queries and exports, query history and saved queries
+app.use('/api/sql-playground', requireLogin, playgroundRoutes, savedQueryRoutes);
 
-    if (!tableName || !columns || !Array.isArray(columns)) {
-        return res.status(400).json({ error: 'Invalid request payload' });
-    }
+// Manage personal access tokens (only from a logged-in session, not with a token)
+app.use('/api/tokens', requireLogin, requireSession, tokenRoutes);
 
-    const columnDefinitions = columns
-        .map(col => `${col.name} ${col.type} ${col.required ? 'NOT NULL' : ''}`)
-        .join(', ');
+// List and sign out the user's own sessions (from a logged-in session)
+app.use('/api/sessions', requireLogin, requireSession, sessionRoutes);
 
-    const createTableQuery = `
-        CREATE TABLE ${tableName} (
-            id SERIAL PRIMARY KEY,
-            ${columnDefinitions}
-        );
-    `;
+// Schema introspection for the tables the user can read
+app.use('/api/schema', requireLogin, schemaRoutes);
 
-    try {
-        await pool.query(createTableQuery);
-        res.status(201).json({ message: `Table "${tableName}" created successfully.` });
-    } catch (err) {
-        console.error('Error creating table:', err.message);
-        res.status(500).json({ error: 'Failed to create table' });
-    }
-});
+// Audit log, for admins only
+app.use('/api/audit', requireLogin, requirePermission('ddl'), auditRoutes);
 
-// Route SQL Playground queries dynamically
-app.post('/api/sql-playground', requireLogin, async (req, res) => {
-    const { query } = req.body;
+// Outgoing webhooks, for admins only
+app.use('/api/webhooks', requireLogin, requirePermission('ddl'), webhookRoutes);
 
-    try {
-        const result = await pool.query(query);
-        res.status(200).json({ rows: result.rows });
-    } catch (err) {
-        console.error('Error executing query:', err.message);
-        res.status(400).json({ error: err.message });
-    }
-});
+// User accounts, for admins only (from a logged-in session, not with a token)
+app.use('/api/users', requireLogin, requireSession, requirePermission('ddl'), userRoutes);
 
-// Integrate dynamic CRUD routes
-app.use('/api', requireLogin, crudRoutes);
+// Login log and account unlocking, for admins only
+app.use('/api/logins', requireLogin, requirePermission('ddl'), loginRoutes);
+
+// Slowest recent playground and CRUD queries, for admins only
+app.use('/api/slow-queries', requireLogin, requirePermission('ddl'), slowQueryRoutes);
 
 // Swagger Documentation
 const swaggerOptions = {
@@ -200,20 +208,45 @@ const swaggerOptions = {
             version: '1.0.0',
             description: 'API for managing CRUD operations dynamically for Growth DB',
         },
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', description: 'Personal access token from POST /api/tokens' },
+            },
+        },
+        // Either a browser session or an API token
+        security: [{}, { bearerAuth: [] }],
     },
-    apis: ['./routes/crud.js'], // Swagger annotations are defined in this file
+    apis: ['./routes/crud.js', './routes/schema.js', './routes/tokens.js', './routes/audit.js', './routes/webhooks.js', './routes/users.js', './routes/logins.js', './routes/slowQueries.js', './routes/connections.js', './routes/sessions.js'], // Swagger annotations are defined in these files
 };
-console.log('Swagger loading files from: ./routes/crud.js');
+console.log('Swagger loading files from: ./routes/crud.js, ./routes/schema.js, ./routes/tokens.js, ./routes/audit.js, ./routes/webhooks.js, ./routes/users.js, ./routes/logins.js, ./routes/slowQueries.js, ./routes/connections.js, ./routes/sessions.js');
 
 // Generate Swagger documentation
 const swaggerDocs = swaggerJsDoc(swaggerOptions);
 
+// OpenAPI document generated from the live schema on every request, so new tables appear
+// immediately; it only covers the tables and operations the caller is allowed to use
+app.get('/api/openapi.json', requireLogin, async (req, res) => {
+    try {
+        res.status(200).json(buildOpenApiSpec(swaggerDocs, await describeTables(), req.user));
+    } catch (err) {
+        console.error('Error generating OpenAPI document:', err.message);
+        res.status(500).json({ error: 'Failed to generate OpenAPI document' });
+    }
+});
+
+// Tables of the configured schemas and connections, as /api/connections/{connection}/{schema}/{table}
+app.use('/api/connections', requireLogin, timeQueries('crud'), connectionRoutes);
+
+// Integrate dynamic CRUD routes
+app.use('/api', requireLogin, timeQueries('crud'), crudRoutes);
+
 // Serve Swagger UI with Custom Title and Favicon
 app.use(
     '/api-docs',
     requireLogin, // Ensure the user is logged in to access Swagger UI
     swaggerUi.serve,
-    swaggerUi.setup(swaggerDocs, {
+    swaggerUi.setup(null, {
+        swaggerOptions: { url: '/api/openapi.json' }, // Load the per-table document generated above
         customSiteTitle: 'Crio.Do | Growth DB', // Custom browser tab title
         customfavIcon: 'https://www.crio.do/favicon-32x32.png?v=9e7df616765f0413e5015879d4cc5dc9', // Custom favicon
         customCss: `
@@ -228,6 +261,11 @@ app.get('/sql-playground', requireLogin, (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'sql-playground.html'));
 });
 
+// Serve the user admin page
+app.get('/users', requireLogin, requirePermission('ddl'), (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'users.html'));
+});
+
 // Logout route
 app.get('/logout', (req, res) => {
     req.session.destroy((err) => {
@@ -249,4 +287,7 @@ app.use((err, req, res, next) => {
 });
 
 // Start Server
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
\ No newline at end of file
+app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    startWebhookWorker();
+});
\ No newline at end of file
@@ -0,0 +1,80 @@
+const { ROLES, DEFAULT_ROLE, PASSWORD_MIN_LENGTH, listUsers, createUser, updateUser, resetPassword, removeUser } = require('./utils/users');
+
+const USAGE = `Usage:
+  node manageUsers.js list                                 List users with their roles and status
+  node manageUsers.js add <username> <password> [role]     Add a user (role: ${ROLES.join('|')}, default ${DEFAULT_ROLE})
+  node manageUsers.js remove <username>                    Remove a user
+  node manageUsers.js reset-password <username> <password> Set a new password
+  node manageUsers.js set-role <username> <role>           Change a user's role
+  node manageUsers.js disable <username>                   Block a user from logging in and using their API tokens
+  node manageUsers.js enable <username>                    Re-enable a disabled user
+
+Passwords need at least ${PASSWORD_MIN_LENGTH} characters (PASSWORD_MIN_LENGTH), letters and digits, and must not contain the username.
+A running server picks up changes within a second.`;
+
+// Fail with the usage text when a required argument is missing
+const required = (value, name) => {
+    if (!value) {
+        throw new Error(`<${name}> is required.\n\n${USAGE}`);
+    }
+    return value;
+};
+
+const commands = {
+    list: async () => {
+        const users = listUsers();
+        if (!users.length) {
+            console.log('No users yet. Add one with: node manageUsers.js add <username> <password> admin');
+            return;
+        }
+        users.forEach((user) => {
+            const grants = [
+                user.tables ? `tables=${JSON.stringify(user.tables)}` : '',
+                user.connections ? `connections=${JSON.stringify(user.connections)}` : '',
+            ].filter(Boolean).join(' ');
+            console.log([user.username.padEnd(24), user.role.padEnd(7), user.disabled ? 'disabled' : 'enabled ', grants].join(' ').trimEnd());
+        });
+    },
+
+    add: async ([username, password, role = DEFAULT_ROLE]) => {
+        await createUser({ username: required(username, 'username'), password: required(password, 'password'), role });
+        console.log(`User "${username}" added successfully with role "${role}".`);
+    },
+
+    remove: async ([username]) => {
+        await removeUser(required(username, 'username'));
+        console.log(`User "${username}" removed.`);
+    },
+
+    'reset-password': async ([username, password]) => {
+        await resetPassword(required(username, 'username'), required(password, 'password'));
+        console.log(`Password of "${username}" reset.`);
+    },
+
+    'set-role': async ([username, role]) => {
+        await updateUser(required(username, 'username'), { role: required(role, 'role') });
+        console.log(`User "${username}" now has role "${role}".`);
+    },
+
+    disable: async ([username]) => {
+        await updateUser(required(username, 'username'), { disabled: true });
+        console.log(`User "${username}" disabled.`);
+    },
+
+    enable: async ([username]) => {
+        await updateUser(required(username, 'username'), { disabled: false });
+        console.log(`User "${username}" enabled.`);
+    },
+};
+
+// Collect input from the command line
+const [,, command, ...args] = process.argv;
+
+if (!commands[command]) {
+    console.log(USAGE);
+} else {
+    commands[command](args).catch((err) => {
+        console.error(`Error: ${err.message}`);
+        process.exitCode = 1;
+    });
+}
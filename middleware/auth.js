@@ -0,0 +1,63 @@
+const { getUser } = require('../utils/users');
+const { findActiveToken } = require('../db/tokens');
+
+/**
+ * Whether a request comes from an API client that expects JSON rather than a login redirect
+ */
+const isApiRequest = (req) => req.originalUrl.startsWith('/api/') || Boolean(req.get('Authorization'));
+
+/**
+ * Authenticate a request carrying `Authorization: Bearer <token>`.
+ * The user is restricted to the token's scope and table allow-list.
+ */
+const authenticateToken = async (req, res, next, token) => {
+    const apiToken = await findActiveToken(token);
+    const user = apiToken && getUser(apiToken.username);
+
+    if (!user) {
+        return res.status(401).json({ error: 'Invalid, expired or revoked API token.' });
+    }
+
+    req.user = { ...user, token: { id: apiToken.id, scope: apiToken.scope, tables: apiToken.tables } };
+    next();
+};
+
+// Middleware to protect routes and enforce session validity
+const requireLogin = async (req, res, next) => {
+    try {
+        const authorization = req.get('Authorization') || '';
+        if (/^Bearer\s+/i.test(authorization)) {
+            return await authenticateToken(req, res, next, authorization.replace(/^Bearer\s+/i, '').trim());
+        }
+
+        // Attach the user record (role and grants) for permission checks downstream
+        req.user = getUser(req.session.user);
+        if (req.user) {
+            // Reset session expiration on activity
+            req.session._garbage = Date();
+            req.session.touch();
+            next();
+        } else if (isApiRequest(req)) {
+            res.status(401).json({ error: 'Authentication required. Log in or send an API token.' });
+        } else {
+            // Save the intended URL and redirect to login
+            req.session.redirectTo = req.originalUrl;
+            res.redirect('/login');
+        }
+    } catch (err) {
+        console.error('Error in requireLogin middleware:', err.message);
+        res.status(500).send('Internal server error');
+    }
+};
+
+/**
+ * Middleware: Only allow requests authenticated with a browser session (not an API token)
+ */
+const requireSession = (req, res, next) => {
+    if (req.user && req.user.token) {
+        return res.status(403).json({ error: 'This endpoint requires a logged-in session, not an API token.' });
+    }
+    next();
+};
+
+module.exports = { requireLogin, requireSession };
@@ -0,0 +1,22 @@
+const { can } = require('../utils/permissions');
+const { tableKey } = require('../db/connections');
+
+/**
+ * Middleware factory: Require the logged-in user to have permission for an action,
+ * checked against the `:table` route parameter when there is one (by its table key when the
+ * request targets another connection or schema)
+ */
+const requirePermission = (action) => (req, res, next) => {
+    const table = req.params.table && req.target ? tableKey(req.target, req.params.table) : req.params.table;
+
+    if (can(req.user, action, table)) {
+        return next();
+    }
+    res.status(403).json({
+        error: table
+            ? `You do not have ${action} permission on table ${table}.`
+            : `You do not have ${action} permission.`,
+    });
+};
+
+module.exports = { requirePermission };
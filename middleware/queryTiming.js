@@ -0,0 +1,80 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { INTERNAL_SCHEMA } = require('../db/internal');
+const { quoteIdent } = require('../utils/queryBuilder');
+const { recordQueryTime, pruneSlowQueries } = require('../db/slowQueries');
+const { onPoolCreated } = require('../db/connections');
+
+// The request a statement runs for, set by timeQueries()
+const queryContext = new AsyncLocalStorage();
+
+// Transaction control and the application's own bookkeeping (audit log, versions, ...) are not logged
+const UNTRACKED = /^\s*(BEGIN|COMMIT|ROLLBACK|SAVEPOINT|RELEASE|SELECT set_config)\b/i;
+
+const isTracked = (text) =>
+    typeof text === 'string' && !UNTRACKED.test(text) && !text.includes(`${quoteIdent(INTERNAL_SCHEMA)}.`);
+
+/**
+ * Wrap a pool client's query method to time every statement run while a request is being
+ * handled by timeQueries(). Works for both the promise and the callback form; streams and
+ * cursors are passed through untimed.
+ */
+const timeClient = (client) => {
+    const query = client.query;
+
+    client.query = function (...args) {
+        const context = queryContext.getStore();
+        const text = typeof args[0] === 'string' ? args[0] : args[0] && args[0].text;
+        if (!context || !isTracked(text) || typeof (args[0] && args[0].submit) === 'function') {
+            return query.apply(this, args);
+        }
+
+        const startedAt = process.hrtime.bigint();
+        const finish = (err, result) => {
+            const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+            queryContext.exit(() => recordQueryTime({
+                ...context,
+                query: text,
+                durationMs,
+                rowCount: result ? result.rowCount : undefined,
+                error: err ? err.message : null,
+            }).catch(recordErr => console.error('Error recording query time:', recordErr.message)));
+        };
+
+        const callback = args[args.length - 1];
+        if (typeof callback === 'function') {
+            args[args.length - 1] = (err, result) => {
+                finish(err, result);
+                callback(err, result);
+            };
+            return query.apply(this, args);
+        }
+
+        const pending = query.apply(this, args);
+        pending.then(result => finish(null, result), err => finish(err));
+        return pending;
+    };
+};
+
+/**
+ * Time the statements of every client the connection pools open, and prune the slow query log hourly.
+ */
+const trackQueryTimes = () => {
+    onPoolCreated(pool => pool.on('connect', timeClient));
+    setInterval(() => {
+        pruneSlowQueries().catch(err => console.error('Error pruning slow queries:', err.message));
+    }, 60 * 60 * 1000).unref();
+};
+
+/**
+ * Middleware factory: Log the slow statements run while handling the request under `source`,
+ * with the user and the request that ran them
+ */
+const timeQueries = (source) => (req, res, next) => {
+    queryContext.run({
+        source,
+        username: req.user ? req.user.username : null,
+        route: `${req.method} ${req.originalUrl.split('?')[0]}`,
+    }, next);
+};
+
+module.exports = { trackQueryTimes, timeQueries };
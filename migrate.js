@@ -0,0 +1,65 @@
+const os = require('os');
+const pool = require('./db/pool');
+const { MIGRATIONS_DIR, getMigrationStatus, migrateUp, migrateDown, createMigration } = require('./db/migrations');
+
+const USAGE = `Usage:
+  node migrate.js status                      Show applied and pending migrations
+  node migrate.js up [--to <version>]         Apply pending migrations (up to a version)
+  node migrate.js down [--steps <n>]          Roll back the last n migrations (default 1)
+  node migrate.js down --to <version>         Roll back every migration newer than a version
+  node migrate.js create <name>               Create an empty SQL migration in ${MIGRATIONS_DIR}`;
+
+// Read `--flag value` options from the command line
+const option = (args, flag) => {
+    const index = args.indexOf(flag);
+    return index === -1 ? undefined : args[index + 1];
+};
+
+const commands = {
+    status: async () => {
+        const migrations = await getMigrationStatus();
+        if (!migrations.length) {
+            console.log(`No migrations found in ${MIGRATIONS_DIR}.`);
+            return;
+        }
+        migrations.forEach(migration => {
+            const appliedAt = migration.appliedAt ? ` (${migration.appliedAt.toISOString()})` : '';
+            console.log(`${migration.status.padEnd(9)} ${migration.version}_${migration.name}${appliedAt}`);
+        });
+    },
+
+    up: async (args) => {
+        const applied = await migrateUp({ to: option(args, '--to'), appliedBy: `cli:${os.userInfo().username}` });
+        applied.forEach(migration => console.log(`Applied ${migration.file}`));
+        console.log(applied.length ? `${applied.length} migration(s) applied.` : 'Nothing to apply.');
+    },
+
+    down: async (args) => {
+        const steps = parseInt(option(args, '--steps') || 1);
+        if (!(steps > 0)) {
+            throw new Error('--steps must be a positive integer.');
+        }
+        const rolledBack = await migrateDown({ steps, to: option(args, '--to') });
+        rolledBack.forEach(migration => console.log(`Rolled back ${migration.file}`));
+        console.log(rolledBack.length ? `${rolledBack.length} migration(s) rolled back.` : 'Nothing to roll back.');
+    },
+
+    create: async (args) => {
+        const migration = createMigration(args[0]);
+        console.log(`Created ${MIGRATIONS_DIR}/${migration.file}`);
+    },
+};
+
+// Collect input from the command line
+const [,, command, ...args] = process.argv;
+
+if (!commands[command]) {
+    console.log(USAGE);
+} else {
+    commands[command](args)
+        .catch((err) => {
+            console.error(`Migration ${command} failed:`, err.message);
+            process.exitCode = 1;
+        })
+        .finally(() => pool.end());
+}
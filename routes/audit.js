@@ -0,0 +1,99 @@
+const express = require('express');
+const { listAudit } = require('../db/audit');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Audit Log
+ *     description: Who changed what, for row changes, table creation and SQL playground statements (admins only)
+ */
+
+/**
+ * Route: Review the audit log, newest entries first.
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: List audit log entries (admins only).
+ *     tags:
+ *       - Audit Log
+ *     parameters:
+ *       - in: query
+ *         name: username
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: A row change (insert, upsert, update, delete, soft_delete, restore, import), a playground statement (query), a schema change operation (create_table, add_column, drop_table, ...), a table_settings change, a webhook change (create_webhook, update_webhook, delete_webhook), a user change (create_user, update_user, reset_password, delete_user) or a login unlock (unlock_login).
+ *       - in: query
+ *         name: table
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: rowId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only entries at or after this time.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only entries at or before this time.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: A page of audit entries with before/after row values.
+ *       400:
+ *         description: Invalid filter.
+ *       403:
+ *         description: Only admins may view the audit log.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/', async (req, res) => {
+    const { username, action, table, rowId, from, to, page = 1, limit = 50 } = req.query;
+    const pageNumber = parseInt(page);
+    const pageSize = Math.min(parseInt(limit), 500);
+
+    if (!(pageNumber > 0) || !(pageSize > 0)) {
+        return res.status(400).json({ error: 'page and limit must be positive integers.' });
+    }
+    if ([from, to].some(date => date !== undefined && Number.isNaN(Date.parse(date)))) {
+        return res.status(400).json({ error: 'from and to must be valid dates.' });
+    }
+
+    try {
+        const { totalItems, rows } = await listAudit(
+            { username, action, table, rowId, from, to },
+            { limit: pageSize, offset: (pageNumber - 1) * pageSize }
+        );
+        res.status(200).json({
+            totalItems,
+            currentPage: pageNumber,
+            totalPages: Math.ceil(totalItems / pageSize),
+            data: rows,
+        });
+    } catch (err) {
+        console.error('Error fetching audit log:', err.message);
+        res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+});
+
+module.exports = router;
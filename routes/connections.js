@@ -0,0 +1,129 @@
+const express = require('express');
+const crudRoutes = require('./crud');
+const { listConnections, resolveTarget, tableKey } = require('../db/connections');
+const { listTables } = require('../db/schema');
+const { can, canUseConnection } = require('../utils/permissions');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Connections
+ *     description: |
+ *       Tables of other schemas and databases, addressed as /api/connections/{connection}/{schema}/{table}.
+ *       Every Dynamic Table API route is available below that path and works the same way.
+ */
+
+/**
+ * Route: List the connections and schemas the user can browse.
+ * @swagger
+ * /api/connections:
+ *   get:
+ *     summary: List the configured connections and their browsable schemas.
+ *     tags:
+ *       - Connections
+ *     responses:
+ *       200:
+ *         description: The connections the user has access to, the default one first, with their schemas.
+ */
+router.get('/', (req, res) => {
+    const connections = listConnections().filter(connection => canUseConnection(req.user, connection.name));
+    res.status(200).json({ connections });
+});
+
+/**
+ * Middleware: Resolve the `:connection` and `:schema` of the request into `req.target`,
+ * which the /api/{table} routes then query instead of the default connection's public schema.
+ */
+const loadTarget = (req, res, next) => {
+    try {
+        req.target = resolveTarget(req.params.connection, req.params.schema);
+    } catch (err) {
+        return res.status(err.status).json({ error: err.message });
+    }
+    if (!canUseConnection(req.user, req.target.connection)) {
+        return res.status(403).json({ error: `You do not have access to connection ${req.target.connection}.` });
+    }
+    next();
+};
+
+/**
+ * Route: List the tables of a schema the user can read.
+ * @swagger
+ * /api/connections/{connection}/{schema}:
+ *   get:
+ *     summary: List the tables of a connection's schema.
+ *     tags:
+ *       - Connections
+ *     parameters:
+ *       - in: path
+ *         name: connection
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: schema
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The connection, schema and the names of the tables the user can read.
+ *       403:
+ *         description: The user has no access to the connection.
+ *       404:
+ *         description: Unknown connection, or a schema that is not configured for browsing.
+ */
+router.get('/:connection/:schema', loadTarget, async (req, res) => {
+    const { connection, schema } = req.target;
+
+    try {
+        const tables = (await listTables(req.target)).filter(table => can(req.user, 'read', tableKey(req.target, table)));
+        res.status(200).json({ connection, schema, tables });
+    } catch (err) {
+        console.error(`Error fetching tables of ${connection}:${schema}:`, err.message);
+        res.status(500).json({ error: 'Failed to fetch tables' });
+    }
+});
+
+/**
+ * Route: The Dynamic Table API for a table of another schema or connection.
+ * @swagger
+ * /api/connections/{connection}/{schema}/{table}:
+ *   get:
+ *     summary: Retrieve rows from a table of another schema or connection.
+ *     description: |
+ *       Every `/api/{table}` route is served below `/api/connections/{connection}/{schema}/{table}`
+ *       with the same parameters and responses: rows, `/bulk`, `/export`, `/import`, `/aggregate`,
+ *       `/subscribe`, `/{id}`, `/{id}/versions` and `/{id}/restore`. The default connection's public
+ *       schema is the same as `/api/{table}`. Grants, the audit log and webhooks name the table by
+ *       its table key (`staging.leads`, `analytics:events`).
+ *     tags:
+ *       - Connections
+ *     parameters:
+ *       - in: path
+ *         name: connection
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: schema
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: table
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: As for `GET /api/{table}`.
+ *       403:
+ *         description: The user's grants on the connection or table do not allow this action.
+ *       404:
+ *         description: Unknown connection or schema.
+ */
+router.use('/:connection/:schema', loadTarget, crudRoutes);
+
+module.exports = router;
@@ -1,8 +1,60 @@
 const express = require('express');
 const pool = require('../db/pool');
 const rateLimit = require('express-rate-limit');
+const multer = require('multer');
+const { getTableColumns, getPrimaryKey, listTables } = require('../db/schema');
+const { DEFAULT_CONNECTION, DEFAULT_SCHEMA, tableKey, qualifiedTable } = require('../db/connections');
+const { withTransaction } = require('../db/transaction');
+const { recordAudit, recordAuditSafely } = require('../db/audit');
+const { SOFT_DELETE_COLUMN, getTableSettings } = require('../db/tableSettings');
+const { listVersions, getVersion } = require('../db/versions');
+const { subscribe, eventsSince } = require('../db/changeFeed');
+const { queueWebhookDeliveries } = require('../db/webhooks');
+const { processDueDeliveries } = require('../utils/webhookDelivery');
+const { HttpError } = require('../utils/errors');
+const { rowEtag, assertIfMatch, sendHttpError } = require('../utils/etag');
+const {
+    quoteIdent,
+    assertColumns,
+    parseOnConflict,
+    buildInsert,
+    buildKeyCondition,
+    buildWhereClause,
+    parseSort,
+    buildOrderByClause,
+    buildOrderBy,
+    parseFields,
+    buildSelectList,
+} = require('../utils/queryBuilder');
+const {
+    parseCountMode,
+    countRows,
+    keysetOrdering,
+    encodeCursor,
+    decodeCursor,
+    buildKeysetCondition,
+} = require('../utils/pagination');
+const { parseFormat, streamQueryToResponse } = require('../utils/export');
+const { buildAggregateQuery } = require('../utils/aggregate');
+const { importFile } = require('../utils/import');
+const { requirePermission } = require('../middleware/permissions');
 const router = express.Router();
 
+// Maximum number of rows accepted by the bulk endpoints in one request
+const MAX_BULK_ROWS = parseInt(process.env.MAX_BULK_ROWS) || 10000;
+
+// Uploaded import files are kept in memory; cap their size (in MB) accordingly
+const MAX_IMPORT_FILE_MB = parseInt(process.env.MAX_IMPORT_FILE_MB) || 25;
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_IMPORT_FILE_MB * 1024 * 1024 } });
+
+// Change feed streams: how soon a dropped EventSource reconnects, and how often an idle
+// stream gets a comment line so proxies do not close it
+const SUBSCRIBE_RETRY_MS = 3000;
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// Most groups returned by the aggregate endpoint
+const MAX_AGGREGATE_GROUPS = parseInt(process.env.MAX_AGGREGATE_GROUPS) || 1000;
+
 /**
  * Rate limiter for the API
  */
@@ -13,20 +65,15 @@ const apiLimiter = rateLimit({
 });
 
 /**
- * Middleware: Validate table name
+ * Middleware: Validate table name against the tables of the request's target: the main database's
+ * public schema, unless /api/connections has already resolved another connection or schema
  */
 const validateTableName = async (req, res, next) => {
     const { table } = req.params;
+    req.target = req.target || { connection: DEFAULT_CONNECTION, schema: DEFAULT_SCHEMA, pool };
 
     try {
-        const validTables = await pool.query(`
-            SELECT table_name 
-            FROM information_schema.tables 
-            WHERE table_schema = 'public';
-        `);
-        const tableNames = validTables.rows.map(row => row.table_name);
-
-        if (!tableNames.includes(table)) {
+        if (!(await listTables(req.target)).includes(table)) {
             return res.status(400).json({ error: `Invalid table name: ${table}` });
         }
         next();
@@ -36,6 +83,66 @@ const validateTableName = async (req, res, next) => {
     }
 };
 
+/**
+ * The requested table quoted for SQL (`relation`), and the name it goes by in grants, the audit log,
+ * table settings, row versions and webhooks (`key`; see tableKey)
+ */
+const requestTable = (req) => ({
+    relation: qualifiedTable(req.target, req.params.table),
+    key: tableKey(req.target, req.params.table),
+});
+
+/**
+ * Run `callback(client, internal)` in a transaction on the request's target, as the request's user.
+ * `internal` is the client for the application's own tables (audit log, webhook queue, settings and
+ * versions). On the main database that is the same client. Other connections get a second transaction
+ * on the main database, committed right after the target's, so a failed write records nothing.
+ */
+const withTargetTransaction = (req, callback) => {
+    if (req.target.connection === DEFAULT_CONNECTION) {
+        return withTransaction(client => callback(client, client), req.user, req.target.pool);
+    }
+    return withTransaction(
+        internal => withTransaction(client => callback(client, internal), req.user, req.target.pool),
+        req.user
+    );
+};
+
+/**
+ * Identify a row for the audit log by its primary key values (comma-separated for composite keys)
+ */
+const rowKey = (keyColumns, row) => (row && keyColumns.length ? keyColumns.map(column => row[column]).join(',') : null);
+
+/**
+ * Audit row changes and queue the webhooks subscribed to them, within the write's transaction
+ * (the `internal` client of withTargetTransaction)
+ */
+const recordRowChanges = async (req, entries, client) => {
+    await recordAudit(req, entries, client);
+    if (await queueWebhookDeliveries(req, entries, client)) {
+        // The transaction has committed by the time the response is sent; deliver without waiting for the next poll
+        req.res.once('finish', processDueDeliveries);
+    }
+};
+
+/**
+ * Condition hiding soft-deleted rows, or null when the table (by its key) does not use soft delete
+ * or the request asks for them with `includeDeleted=true`
+ */
+const notDeletedCondition = async (key, query = {}) => {
+    const { softDelete } = await getTableSettings(key);
+    if (!softDelete || String(query.includeDeleted).toLowerCase() === 'true') return null;
+    return `${quoteIdent(SOFT_DELETE_COLUMN)} IS NULL`;
+};
+
+/**
+ * Add a condition to a (possibly empty) WHERE clause
+ */
+const andWhere = (clause, condition) => {
+    if (!condition) return clause;
+    return clause ? `${clause} AND ${condition}` : `WHERE ${condition}`;
+};
+
 /**
  * Swagger Tags
  */
@@ -47,11 +154,20 @@ const validateTableName = async (req, res, next) => {
  */
 
 /**
- * Dynamic Route: Retrieve all rows from a table with optional pagination.
+ * Dynamic Route: Retrieve rows from a table with optional filtering, sorting, projection and pagination.
  * @swagger
  * /api/{table}:
  *   get:
- *     summary: Retrieve all rows from a table with pagination.
+ *     summary: Retrieve rows from a table with filtering, sorting and pagination.
+ *     description: |
+ *       Any query parameter that is not `page`, `limit`, `sort` or `fields` is treated as a column filter.
+ *       `?status=active` filters on equality, `?price[gt]=10` applies an operator
+ *       (`eq`, `neq`, `gt`, `gte`, `lt`, `lte`, `in`, `like`, `ilike`, `is`),
+ *       `?status[in]=a,b` matches any listed value and `?deleted_at[is]=null` (or `notnull`) checks for NULL.
+ *
+ *       Pass `cursor` (empty for the first page) to page by keyset instead of OFFSET: rows are ordered by
+ *       `sort` followed by the primary key, and each response carries an opaque `nextCursor` for the
+ *       next page (null on the last one). This stays fast however deep you page.
  *     tags:
  *       - Dynamic Table API
  *     parameters:
@@ -73,9 +189,43 @@ const validateTableName = async (req, res, next) => {
  *           type: integer
  *           default: 10
  *         description: Number of rows per page.
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         example: -created_at,name
+ *         description: Comma-separated columns to sort by; prefix a column with "-" for descending order.
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *         example: id,name
+ *         description: Comma-separated columns to return (defaults to all columns).
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Switch to cursor pagination; empty for the first page, then the previous response's nextCursor.
+ *       - in: query
+ *         name: count
+ *         schema:
+ *           type: string
+ *           enum: [exact, estimated, none]
+ *         description: |
+ *           How totalItems is computed: `exact` runs COUNT(*), `estimated` uses pg_class.reltuples or the
+ *           planner's estimate for filtered queries, `none` skips it. Defaults to `exact` for page/limit
+ *           and `none` for cursor pagination.
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include soft-deleted rows (tables with soft delete turned on hide them by default).
  *     responses:
  *       200:
- *         description: Successful response with rows and pagination details.
+ *         description: |
+ *           Rows with pagination details. Page/limit requests return currentPage and totalPages;
+ *           cursor requests return nextCursor and limit instead. totalItems and totalPages are null with `count=none`.
  *         content:
  *           application/json:
  *             schema:
@@ -83,40 +233,118 @@ const validateTableName = async (req, res, next) => {
  *               properties:
  *                 totalItems:
  *                   type: integer
+ *                   nullable: true
+ *                 countMode:
+ *                   type: string
+ *                   enum: [exact, estimated, none]
  *                 currentPage:
  *                   type: integer
  *                 totalPages:
  *                   type: integer
+ *                   nullable: true
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 limit:
+ *                   type: integer
  *                 data:
  *                   type: array
  *                   items:
  *                     type: object
  *                     additionalProperties: true
  *       400:
- *         description: Invalid table name.
+ *         description: Invalid table name, column name or filter.
+ *       403:
+ *         description: The user's role or table grants do not allow this action.
  *       500:
  *         description: Internal server error.
  */
-router.get('/:table', apiLimiter, validateTableName, async (req, res) => {
+/**
+ * Fetch one page of rows by keyset: rows after the cursor position in sort + primary key order.
+ * The ordering columns are also selected as text under aliases to build the next cursor, then removed.
+ */
+const listRowsByCursor = async (req, columnNames, limit) => {
+    const { table } = req.params;
+    const { relation, key } = requestTable(req);
+    const { query } = req;
+    const ordering = keysetOrdering(parseSort(query.sort, columnNames), await getPrimaryKey(table, req.target));
+    const filter = buildWhereClause(query, columnNames);
+    filter.clause = andWhere(filter.clause, await notDeletedCondition(key, query));
+    const values = [...filter.values];
+    let where = filter.clause;
+
+    if (query.cursor) {
+        const keyset = buildKeysetCondition(ordering, decodeCursor(query.cursor, ordering), values);
+        where = where ? `${where} AND (${keyset})` : `WHERE ${keyset}`;
+    }
+
+    const cursorColumns = ordering.map((_, i) => `_cursor_${i}`);
+    const selectList = [
+        buildSelectList(query.fields, columnNames),
+        ...ordering.map(({ column }, i) => `${quoteIdent(column)}::text AS ${quoteIdent(cursorColumns[i])}`),
+    ].join(', ');
+
+    const result = await req.target.pool.query(
+        `SELECT ${selectList} FROM ${relation} ${where} ${buildOrderByClause(ordering)} LIMIT $${values.length + 1}`,
+        [...values, limit + 1]
+    );
+
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+    const nextCursor = result.rows.length > limit ? encodeCursor(ordering, cursorColumns.map(alias => last[alias])) : null;
+    rows.forEach(row => cursorColumns.forEach(alias => delete row[alias]));
+
+    return { rows, nextCursor, filter };
+};
+
+router.get('/:table', apiLimiter, validateTableName, requirePermission('read'), async (req, res) => {
     const { table } = req.params;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
+    const cursorMode = req.query.cursor !== undefined;
+    const { relation, key } = requestTable(req);
 
     try {
-        const totalResult = await pool.query(`SELECT COUNT(*) FROM ${table}`);
-        const totalItems = parseInt(totalResult.rows[0].count);
+        const columnNames = (await getTableColumns(table, req.target)).map(col => col.column_name);
+        const countMode = parseCountMode(req.query.count, cursorMode ? 'none' : 'exact');
+
+        if (cursorMode) {
+            const { rows, nextCursor, filter } = await listRowsByCursor(req, columnNames, limit);
+            return res.status(200).json({
+                totalItems: await countRows(table, filter, countMode, req.target),
+                countMode,
+                limit,
+                nextCursor,
+                data: rows,
+            });
+        }
+
+        const selectList = buildSelectList(req.query.fields, columnNames);
+        const orderBy = buildOrderBy(req.query.sort, columnNames);
+        const filter = buildWhereClause(req.query, columnNames);
+        const where = andWhere(filter.clause, await notDeletedCondition(key, req.query));
+        const { values } = filter;
 
-        const result = await pool.query(`SELECT * FROM ${table} LIMIT $1 OFFSET $2`, [limit, offset]);
-        const totalPages = Math.ceil(totalItems / limit);
+        const totalItems = await countRows(table, { clause: where, values }, countMode, req.target);
+
+        const result = await req.target.pool.query(
+            `SELECT ${selectList} FROM ${relation} ${where} ${orderBy} LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+            [...values, limit, offset]
+        );
+        const totalPages = totalItems === null ? null : Math.ceil(totalItems / limit);
 
         res.status(200).json({
             totalItems,
+            countMode,
             currentPage: page,
             totalPages,
             data: result.rows,
         });
     } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
         console.error(`Error fetching data from table ${table}:`, err.message);
         res.status(500).json({ error: `Error fetching data from table ${table}: ${err.message}` });
     }
@@ -154,36 +382,97 @@ router.get('/:table', apiLimiter, validateTableName, async (req, res) => {
  *               additionalProperties: true
  *       400:
  *         description: Invalid request payload.
+ *       403:
+ *         description: The user's role or table grants do not allow this action.
  *       500:
  *         description: Internal server error.
  */
-router.post('/:table', apiLimiter, validateTableName, async (req, res) => {
+router.post('/:table', apiLimiter, validateTableName, requirePermission('write'), async (req, res) => {
     const { table } = req.params;
     const data = req.body;
+    const { relation, key } = requestTable(req);
 
     try {
-        const columns = Object.keys(data).join(', ');
-        const values = Object.values(data);
-        const placeholders = values.map((_, i) => `$${i + 1}`).join(', ');
+        const columnNames = (await getTableColumns(table, req.target)).map(col => col.column_name);
+        assertColumns(columnNames, Object.keys(data));
 
-        const result = await pool.query(
-            `INSERT INTO ${table} (${columns}) VALUES (${placeholders}) RETURNING *`,
-            values
-        );
+        const keyColumns = await getPrimaryKey(table, req.target);
+        const { text, values } = buildInsert(relation, data);
+
+        const row = await withTargetTransaction(req, async (client, internal) => {
+            const result = await client.query(text, values);
+            const inserted = result.rows[0];
+            await recordRowChanges(req, { action: 'insert', table: key, rowId: rowKey(keyColumns, inserted), after: inserted }, internal);
+            return inserted;
+        });
 
-        res.status(201).json(result.rows[0]);
+        res.set('ETag', rowEtag(row)).status(201).json(row);
     } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
         console.error(`Error inserting data into table ${table}:`, err.message);
         res.status(500).json({ error: `Error inserting data into table ${table}: ${err.message}` });
     }
 });
 
 /**
- * Dynamic Route: Update a row in a table by ID.
+ * Validate a bulk request body and return its rows.
+ * Each row must be an object whose keys are columns of the table; failures carry the row index.
+ */
+const parseBulkRows = (body, columnNames) => {
+    const rows = body && body.rows;
+
+    if (!Array.isArray(rows) || !rows.length) {
+        throw new HttpError(400, 'Request body must contain a non-empty "rows" array.');
+    }
+    if (rows.length > MAX_BULK_ROWS) {
+        throw new HttpError(400, `A bulk request may contain at most ${MAX_BULK_ROWS} rows.`);
+    }
+
+    rows.forEach((row, index) => {
+        try {
+            if (!row || typeof row !== 'object' || Array.isArray(row)) {
+                throw new HttpError(400, 'Row must be an object.');
+            }
+            assertColumns(columnNames, Object.keys(row));
+        } catch (err) {
+            err.rowIndex = index;
+            throw err;
+        }
+    });
+
+    return rows;
+};
+
+/**
+ * Send the error response for a failed bulk request. Row-level failures
+ * roll back the whole batch and report the index of the offending row.
+ */
+const sendBulkError = (res, table, err) => {
+    if (err.rowIndex !== undefined) {
+        return res.status(err.status || 400).json({
+            error: `Row ${err.rowIndex} failed, no rows were written: ${err.message}`,
+            rowIndex: err.rowIndex,
+        });
+    }
+    if (err.status) {
+        return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`Error writing bulk data to table ${table}:`, err.message);
+    res.status(500).json({ error: `Error writing bulk data to table ${table}: ${err.message}` });
+};
+
+/**
+ * Dynamic Route: Insert or upsert many rows into a table in one transaction.
  * @swagger
- * /api/{table}/{id}:
- *   put:
- *     summary: Update a row in a table by ID.
+ * /api/{table}/bulk:
+ *   post:
+ *     summary: Insert or upsert many rows into a table in one transaction.
+ *     description: |
+ *       All rows are written in a single transaction; if any row fails the whole batch is rolled back
+ *       and the response identifies the failing row index. Use `onConflict` to skip rows that violate
+ *       a unique key (`ignore`) or to update the existing row instead (`update`, requires `target`).
  *     tags:
  *       - Dynamic Table API
  *     parameters:
@@ -192,59 +481,115 @@ router.post('/:table', apiLimiter, validateTableName, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *         description: Name of the table to update data in.
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: ID of the row to update.
+ *         description: Name of the table to insert data into.
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             additionalProperties: true
+ *             required:
+ *               - rows
+ *             properties:
+ *               rows:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   additionalProperties: true
+ *               onConflict:
+ *                 type: object
+ *                 properties:
+ *                   action:
+ *                     type: string
+ *                     enum: [ignore, update]
+ *                   target:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     description: Columns of the unique key to detect conflicts on.
  *     responses:
- *       200:
- *         description: Row updated successfully.
+ *       201:
+ *         description: All rows were written.
  *         content:
  *           application/json:
  *             schema:
  *               type: object
- *               additionalProperties: true
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index:
+ *                         type: integer
+ *                       status:
+ *                         type: string
+ *                         enum: [inserted, upserted, skipped]
+ *                       row:
+ *                         type: object
+ *                         additionalProperties: true
+ *       400:
+ *         description: Invalid payload, or a row failed and the batch was rolled back.
+ *       403:
+ *         description: The user's role or table grants do not allow this action.
  *       500:
  *         description: Internal server error.
  */
-router.put('/:table/:id', apiLimiter, validateTableName, async (req, res) => {
-    const { table, id } = req.params;
-    const data = req.body;
+router.post('/:table/bulk', apiLimiter, validateTableName, requirePermission('write'), async (req, res) => {
+    const { table } = req.params;
+    const { relation, key } = requestTable(req);
 
     try {
-        const updates = Object.keys(data)
-            .map((key, i) => `${key} = $${i + 1}`)
-            .join(', ');
-        const values = Object.values(data);
+        const columnNames = (await getTableColumns(table, req.target)).map(col => col.column_name);
+        const rows = parseBulkRows(req.body, columnNames);
+        const onConflict = parseOnConflict(req.body.onConflict, columnNames);
+        const writtenStatus = onConflict && onConflict.action === 'update' ? 'upserted' : 'inserted';
+        const keyColumns = await getPrimaryKey(table, req.target);
 
-        const result = await pool.query(
-            `UPDATE ${table} SET ${updates} WHERE id = $${values.length + 1} RETURNING *`,
-            [...values, id]
-        );
+        const results = await withTargetTransaction(req, async (client, internal) => {
+            const rowResults = [];
+            for (const [index, row] of rows.entries()) {
+                try {
+                    const { text, values } = buildInsert(relation, row, onConflict);
+                    const result = await client.query(text, values);
+                    rowResults.push(result.rows.length
+                        ? { index, status: writtenStatus, row: result.rows[0] }
+                        : { index, status: 'skipped', row: null });
+                } catch (err) {
+                    err.rowIndex = index;
+                    throw err;
+                }
+            }
+
+            await recordRowChanges(req, rowResults
+                .filter(result => result.row)
+                .map(result => ({
+                    action: writtenStatus === 'upserted' ? 'upsert' : 'insert',
+                    table: key,
+                    rowId: rowKey(keyColumns, result.row),
+                    after: result.row,
+                })), internal);
+            return rowResults;
+        });
 
-        res.status(200).json(result.rows[0]);
+        res.status(201).json({ count: results.length, results });
     } catch (err) {
-        console.error(`Error updating data in table ${table}:`, err.message);
-        res.status(500).json({ error: `Error updating data in table ${table}: ${err.message}` });
+        sendBulkError(res, table, err);
     }
 });
 
 /**
- * Dynamic Route: Delete a row from a table by ID.
+ * Dynamic Route: Update many rows of a table by primary key in one transaction.
  * @swagger
- * /api/{table}/{id}:
- *   delete:
- *     summary: Delete a row from a table by ID.
+ * /api/{table}/bulk:
+ *   patch:
+ *     summary: Update many rows of a table by primary key in one transaction.
+ *     description: |
+ *       Each row must include its primary key columns; the remaining columns are updated.
+ *       If any row fails or does not exist the whole batch is rolled back and the response
+ *       identifies the failing row index.
  *     tags:
  *       - Dynamic Table API
  *     parameters:
@@ -253,81 +598,1110 @@ router.put('/:table/:id', apiLimiter, validateTableName, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *         description: Name of the table to delete data from.
+ *         description: Name of the table to update data in.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rows
+ *             properties:
+ *               rows:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   additionalProperties: true
+ *     responses:
+ *       200:
+ *         description: All rows were updated.
+ *       400:
+ *         description: Invalid payload, or a row failed and the batch was rolled back.
+ *       404:
+ *         description: A row did not match any existing row; the batch was rolled back.
+ *       403:
+ *         description: The user's role or table grants do not allow this action.
+ *       500:
+ *         description: Internal server error.
+ */
+router.patch('/:table/bulk', apiLimiter, validateTableName, requirePermission('write'), async (req, res) => {
+    const { table } = req.params;
+    const { relation, key } = requestTable(req);
+
+    try {
+        const columnNames = (await getTableColumns(table, req.target)).map(col => col.column_name);
+        const rows = parseBulkRows(req.body, columnNames);
+        const keyColumns = await getPrimaryKey(table, req.target);
+        if (!keyColumns.length) {
+            throw new HttpError(400, 'Table has no primary key; rows cannot be addressed for update.');
+        }
+        const notDeleted = await notDeletedCondition(key);
+
+        const results = await withTargetTransaction(req, async (client, internal) => {
+            const rowResults = [];
+            for (const [index, row] of rows.entries()) {
+                try {
+                    const missingKeys = keyColumns.filter(column => row[column] === undefined);
+                    if (missingKeys.length) {
+                        throw new HttpError(400, `Missing primary key column(s): ${missingKeys.join(', ')}.`);
+                    }
+
+                    const updateColumns = Object.keys(row).filter(column => !keyColumns.includes(column));
+                    if (!updateColumns.length) {
+                        throw new HttpError(400, 'Row has no columns to update besides the primary key.');
+                    }
+
+                    const keyValues = keyColumns.map(column => row[column]);
+                    const conditions = keyColumns.map((column, i) => `${quoteIdent(column)} = $${i + 1}`).join(' AND ');
+                    const before = await client.query(
+                        `SELECT * FROM ${relation} ${andWhere(`WHERE ${conditions}`, notDeleted)} FOR UPDATE`,
+                        keyValues
+                    );
+                    if (!before.rows.length) {
+                        throw new HttpError(404, 'No matching row found.');
+                    }
+
+                    const updates = updateColumns.map((column, i) => `${quoteIdent(column)} = $${keyValues.length + i + 1}`);
+                    const result = await client.query(
+                        `UPDATE ${relation} SET ${updates.join(', ')} WHERE ${conditions} RETURNING *`,
+                        [...keyValues, ...updateColumns.map(column => row[column])]
+                    );
+                    rowResults.push({ index, status: 'updated', row: result.rows[0], before: before.rows[0] });
+                } catch (err) {
+                    err.rowIndex = index;
+                    throw err;
+                }
+            }
+
+            await recordRowChanges(req, rowResults.map(result => ({
+                action: 'update',
+                table: key,
+                rowId: rowKey(keyColumns, result.row),
+                before: result.before,
+                after: result.row,
+            })), internal);
+            return rowResults.map(({ before, ...result }) => result);
+        });
+
+        res.status(200).json({ count: results.length, results });
+    } catch (err) {
+        sendBulkError(res, table, err);
+    }
+});
+
+/**
+ * Dynamic Route: Stream rows from a table as a file download.
+ * @swagger
+ * /api/{table}/export:
+ *   get:
+ *     summary: Export rows from a table as CSV, Excel-friendly CSV, NDJSON or JSON.
+ *     description: |
+ *       Rows are streamed from a server-side cursor, so exports of any size use constant memory.
+ *       Accepts the same filter, `sort` and `fields` parameters as `GET /api/{table}`; `page` and `limit` are ignored.
+ *     tags:
+ *       - Dynamic Table API
+ *     parameters:
  *       - in: path
- *         name: id
+ *         name: table
  *         required: true
  *         schema:
  *           type: string
- *         description: ID of the row to delete.
+ *         description: Name of the table to export.
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, excel, ndjson, json]
+ *           default: csv
+ *         description: Output format. `excel` is CSV with a UTF-8 byte order mark and CRLF line endings.
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: Comma-separated columns to sort by; prefix a column with "-" for descending order.
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *         description: Comma-separated columns to export (defaults to all columns).
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include soft-deleted rows (tables with soft delete turned on hide them by default).
  *     responses:
- *       204:
- *         description: Row deleted successfully.
+ *       200:
+ *         description: The exported file, sent as an attachment.
+ *       400:
+ *         description: Invalid table name, column name, filter or format.
+ *       403:
+ *         description: The user's role or table grants do not allow this action.
  *       500:
  *         description: Internal server error.
  */
-router.delete('/:table/:id', apiLimiter, validateTableName, async (req, res) => {
-    const { table, id } = req.params;
+router.get('/:table/export', apiLimiter, validateTableName, requirePermission('read'), async (req, res) => {
+    const { table } = req.params;
+    const { format, page, limit, ...filters } = req.query;
+    const { relation, key } = requestTable(req);
 
     try {
-        await pool.query(`DELETE FROM ${table} WHERE id = $1`, [id]);
-        res.status(204).send();
+        const columnNames = (await getTableColumns(table, req.target)).map(col => col.column_name);
+        const exportFormat = parseFormat(format);
+        const fields = parseFields(req.query.fields, columnNames) || columnNames;
+        const orderBy = buildOrderBy(req.query.sort, columnNames);
+        const filter = buildWhereClause(filters, columnNames);
+        const where = andWhere(filter.clause, await notDeletedCondition(key, req.query));
+        const { values } = filter;
+
+        await streamQueryToResponse(res, {
+            text: `SELECT ${fields.map(quoteIdent).join(', ')} FROM ${relation} ${where} ${orderBy}`,
+            values,
+            format: exportFormat,
+            filename: table,
+            fields,
+            db: req.target.pool,
+        });
     } catch (err) {
-        console.error(`Error deleting data from table ${table}:`, err.message);
-        res.status(500).json({ error: `Error deleting data from table ${table}: ${err.message}` });
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error(`Error exporting data from table ${table}:`, err.message);
+        res.status(500).json({ error: `Error exporting data from table ${table}: ${err.message}` });
     }
 });
 
 /**
- * Create a new table dynamically.
+ * Dynamic Route: Count, sum or average rows of a table, optionally grouped.
  * @swagger
- * /api/create-table:
- *   post:
- *     summary: Create a new table dynamically.
+ * /api/{table}/aggregate:
+ *   get:
+ *     summary: Aggregate rows of a table, optionally grouped by columns or time buckets.
+ *     description: |
+ *       `groupBy` lists the columns to group on; `column:interval` groups a timestamp or date column by
+ *       `minute`, `hour`, `day`, `week`, `month`, `quarter` or `year` (the start of each bucket).
+ *       `aggregates` lists `count` (rows) and `count`, `sum`, `avg`, `min` or `max` of a column as
+ *       `fn(column)`, and defaults to `count`. Each result row has the group columns (bucketed ones are
+ *       named `column_interval`) and one value per aggregate, named `count` or `fn_column`.
+ *       Filters work as for `GET /api/{table}`. bigint and numeric results arrive as strings.
  *     tags:
  *       - Dynamic Table API
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               tableName:
- *                 type: string
- *               columns:
- *                 type: array
- *                 items:
- *                   type: object
- *                   properties:
- *                     name:
- *                       type: string
- *                     type:
- *                       type: string
- *                     constraints:
- *                       type: string
+ *     parameters:
+ *       - in: path
+ *         name: table
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Name of the table to aggregate.
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *         example: status,created_at:month
+ *         description: Comma-separated columns to group by, with an optional `:interval` for timestamps.
+ *       - in: query
+ *         name: aggregates
+ *         schema:
+ *           type: string
+ *           default: count
+ *         example: count,sum(total),avg(total)
+ *         description: Comma-separated aggregates.
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         example: -sum_total
+ *         description: Comma-separated result columns to sort by ("-" for descending). Defaults to the group columns.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Most groups to return (at most MAX_AGGREGATE_GROUPS, 1000 by default).
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include soft-deleted rows (tables with soft delete turned on hide them by default).
  *     responses:
- *       201:
- *         description: Table created successfully.
+ *       200:
+ *         description: The grouped results; `truncated` is true when there were more groups than `limit`.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 groupBy:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 aggregates:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 truncated:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Invalid table name, column name, aggregate, interval or filter.
+ *       403:
+ *         description: The user's role or table grants do not allow this action.
  *       500:
  *         description: Internal server error.
  */
-router.post('/create-table', apiLimiter, async (req, res) => {
-    const { tableName, columns } = req.body;
+router.get('/:table/aggregate', apiLimiter, validateTableName, requirePermission('read'), async (req, res) => {
+    const { table } = req.params;
+    const { groupBy, aggregates, ...filters } = req.query;
+    const limit = Math.min(req.query.limit === undefined ? MAX_AGGREGATE_GROUPS : parseInt(req.query.limit), MAX_AGGREGATE_GROUPS);
+    const { relation, key } = requestTable(req);
 
-    if (!tableName || !Array.isArray(columns)) {
-        return res.status(400).json({ error: 'Invalid table structure. Ensure tableName and columns are provided.' });
+    if (!(limit > 0)) {
+        return res.status(400).json({ error: 'limit must be a positive integer.' });
     }
 
     try {
-        const columnsDefinition = columns
-            .map(col => `${col.name} ${col.type} ${col.constraints || ''}`)
-            .join(', ');
-        await pool.query(`CREATE TABLE ${tableName} (${columnsDefinition})`);
-        res.status(201).json({ message: `Table ${tableName} created successfully.` });
+        const columns = await getTableColumns(table, req.target);
+        const filter = buildWhereClause(filters, columns.map(col => col.column_name));
+        filter.clause = andWhere(filter.clause, await notDeletedCondition(key, req.query));
+
+        const query = buildAggregateQuery(relation, columns, { groupBy, aggregates, sort: req.query.sort }, filter, limit);
+        const result = await req.target.pool.query(query.text, query.values);
+        const rows = result.rows.slice(0, limit);
+
+        res.status(200).json({
+            groupBy: query.groupBy,
+            aggregates: query.aggregates,
+            truncated: result.rows.length > rows.length,
+            data: rows,
+        });
     } catch (err) {
-        console.error('Error creating table:', err.message);
-        res.status(500).json({ error: `Error creating table: ${err.message}` });
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        // 42883: undefined_function, e.g. min() of a json column
+        if (err.code === '42883') {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error(`Error aggregating table ${table}:`, err.message);
+        res.status(500).json({ error: `Error aggregating table ${table}: ${err.message}` });
+    }
+});
+
+/**
+ * Dynamic Route: Stream changes to a table as Server-Sent Events.
+ * @swagger
+ * /api/{table}/subscribe:
+ *   get:
+ *     summary: Subscribe to inserts, updates and deletes on a table (Server-Sent Events).
+ *     description: |
+ *       Needs the change feed turned on for the table (see `PUT /api/schema/{table}/settings`). Each
+ *       change is sent as an event named after the operation (`insert`, `update` or `delete`) whose data
+ *       is `{ id, table, operation, row, changedAt }`; `row` is the new row, or the deleted one.
+ *       Every event carries its `id`: a reconnecting EventSource sends it back as `Last-Event-ID` and
+ *       receives the events it missed first (events are kept for CHANGE_FEED_RETENTION_HOURS, 24 by default).
+ *     tags:
+ *       - Dynamic Table API
+ *     parameters:
+ *       - in: path
+ *         name: table
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Name of the table to watch.
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *         description: Resume after this event.
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: string
+ *         description: Same as the Last-Event-ID header, for clients that cannot set headers.
+ *     responses:
+ *       200:
+ *         description: An event stream that stays open until the client disconnects.
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid table name or event id.
+ *       403:
+ *         description: The user's role or table grants do not allow this action.
+ *       409:
+ *         description: The change feed is not turned on for the table.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/:table/subscribe', apiLimiter, validateTableName, requirePermission('read'), async (req, res) => {
+    const { table } = req.params;
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    const { key } = requestTable(req);
+
+    if (lastEventId !== undefined && !/^\d+$/.test(String(lastEventId))) {
+        return res.status(400).json({ error: 'Last-Event-ID must be an event id.' });
+    }
+
+    let unsubscribe = null;
+    let heartbeat = null;
+    let closed = false;
+    const stop = () => {
+        clearInterval(heartbeat);
+        if (unsubscribe) unsubscribe();
+    };
+    res.on('close', () => {
+        closed = true;
+        stop();
+    });
+
+    try {
+        if (!(await getTableSettings(key)).changeFeed) {
+            return res.status(409).json({ error: `The change feed is not turned on for table ${table}.` });
+        }
+
+        // Event ids are bigint strings; skip anything already sent while catching up
+        let lastSent = BigInt(lastEventId || 0);
+        const send = (event) => {
+            if (BigInt(event.id) <= lastSent) return;
+            lastSent = BigInt(event.id);
+            res.write(`id: ${event.id}\nevent: ${event.operation}\ndata: ${JSON.stringify(event)}\n\n`);
+        };
+
+        // Live events are held back until the missed ones have been replayed
+        let pending = [];
+        unsubscribe = await subscribe(key, {
+            onEvent: event => (pending ? pending.push(event) : send(event)),
+            onLost: () => res.end(),
+        });
+        if (closed) return stop();
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no',
+        });
+        res.flushHeaders();
+        res.write(`retry: ${SUBSCRIBE_RETRY_MS}\n\n`);
+
+        if (lastEventId) {
+            let missed;
+            do {
+                missed = await eventsSince(key, String(lastSent));
+                missed.forEach(send);
+            } while (missed.length);
+        }
+        pending.forEach(send);
+        pending = null;
+
+        if (!closed) {
+            heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+        }
+    } catch (err) {
+        stop();
+        if (res.headersSent) {
+            return res.end();
+        }
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error(`Error subscribing to table ${table}:`, err.message);
+        res.status(500).json({ error: `Error subscribing to table ${table}: ${err.message}` });
+    }
+});
+
+/**
+ * Middleware: Accept a single uploaded file in the `file` field, turning upload errors into 400s
+ */
+const uploadFile = (req, res, next) => {
+    upload.single('file')(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({ error: `Upload failed: ${err.message}` });
+        }
+        if (!req.file) {
+            return res.status(400).json({ error: 'A file must be uploaded in the "file" field.' });
+        }
+        next();
+    });
+};
+
+/**
+ * Dynamic Route: Import a CSV or JSON file into a table.
+ * @swagger
+ * /api/{table}/import:
+ *   post:
+ *     summary: Import a CSV or JSON file into a table, with column mapping and dry run.
+ *     description: |
+ *       CSV files need a header row; JSON files must contain an array of objects. File columns are
+ *       matched to table columns of the same name unless a `mapping` is given. Values are checked
+ *       against each column's data type. With `dryRun=true` nothing is written and every row that
+ *       would fail (type errors and constraint violations) is reported. Otherwise any invalid row
+ *       aborts the import and rows are loaded in batched inserts within one transaction. Each
+ *       inserted row gets an `insert` audit entry and webhook delivery, as with `POST /api/{table}`.
+ *     tags:
+ *       - Dynamic Table API
+ *     parameters:
+ *       - in: path
+ *         name: table
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Name of the table to import into.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               format:
+ *                 type: string
+ *                 enum: [csv, json]
+ *                 description: File format; detected from the file extension when omitted.
+ *               mapping:
+ *                 type: string
+ *                 description: JSON object of file column to table column, e.g. {"Full Name":"name","Notes":null}.
+ *               dryRun:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Dry-run report.
+ *       201:
+ *         description: Rows imported.
+ *       400:
+ *         description: Invalid file, mapping or rows; nothing was written.
+ *       403:
+ *         description: The user's role or table grants do not allow this action.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/:table/import', apiLimiter, validateTableName, requirePermission('write'), uploadFile, async (req, res) => {
+    const { table } = req.params;
+    const { format, mapping } = req.body;
+    const dryRun = ['true', '1', 'on'].includes(String(req.body.dryRun).toLowerCase());
+    const { key } = requestTable(req);
+
+    try {
+        const keyColumns = await getPrimaryKey(table, req.target);
+        const report = await importFile({
+            table,
+            target: req.target,
+            tableColumns: await getTableColumns(table, req.target),
+            file: req.file,
+            format,
+            mapping,
+            dryRun,
+            // Each imported row is audited and sent to webhooks like a single insert
+            transaction: callback => withTargetTransaction(req, async (client, internal) => {
+                const inserted = await callback(client);
+                await recordRowChanges(req, inserted.map(row => ({
+                    action: 'insert',
+                    table: key,
+                    rowId: rowKey(keyColumns, row),
+                    after: row,
+                })), internal);
+                return inserted;
+            }),
+        });
+
+        if (dryRun) {
+            return res.status(200).json(report);
+        }
+        if (report.errors.length) {
+            return res.status(400).json({ error: 'Import contains invalid rows, nothing was written.', ...report });
+        }
+        await recordAuditSafely(req, {
+            action: 'import',
+            table: key,
+            details: { file: req.file.originalname, format: report.format, inserted: report.inserted },
+        });
+        res.status(201).json(report);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error(`Error importing data into table ${table}:`, err.message);
+        res.status(500).json({ error: `Error importing data into table ${table}: ${err.message}` });
+    }
+});
+
+/**
+ * Dynamic Route: Retrieve a single row from a table by primary key.
+ * @swagger
+ * /api/{table}/{id}:
+ *   get:
+ *     summary: Retrieve a single row from a table by primary key.
+ *     tags:
+ *       - Dynamic Table API
+ *     parameters:
+ *       - in: path
+ *         name: table
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Name of the table to query.
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Primary key of the row. For composite keys, comma-separated values in key order.
+ *       - in: header
+ *         name: If-None-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from an earlier read; answered with 304 if the row has not changed.
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include soft-deleted rows (tables with soft delete turned on hide them by default).
+ *     responses:
+ *       200:
+ *         description: The matching row.
+ *         headers:
+ *           ETag:
+ *             description: Version of the row, for If-Match on later updates and deletes.
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               additionalProperties: true
+ *       304:
+ *         description: The row still matches the If-None-Match ETag.
+ *       400:
+ *         description: Invalid table name or key.
+ *       404:
+ *         description: No row matches the given key.
+ *       403:
+ *         description: The user's role or table grants do not allow this action.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/:table/:id', apiLimiter, validateTableName, requirePermission('read'), async (req, res) => {
+    const { table, id } = req.params;
+    const { relation, key } = requestTable(req);
+
+    try {
+        const { clause, values } = buildKeyCondition(await getPrimaryKey(table, req.target), id);
+        const where = andWhere(clause, await notDeletedCondition(key, req.query));
+        const result = await req.target.pool.query(`SELECT * FROM ${relation} ${where}`, values);
+
+        if (!result.rows.length) {
+            return res.status(404).json({ error: `No row found in table ${table} with id ${id}.` });
+        }
+        // Express answers a matching If-None-Match with 304 once the ETag is set
+        res.set('ETag', rowEtag(result.rows[0])).status(200).json(result.rows[0]);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error(`Error fetching row from table ${table}:`, err.message);
+        res.status(500).json({ error: `Error fetching row from table ${table}: ${err.message}` });
+    }
+});
+
+/**
+ * Update the columns present in the request body on the row matching the primary key.
+ * Shared by PUT and PATCH.
+ */
+const updateRow = async (req, res) => {
+    const { table, id } = req.params;
+    const data = req.body;
+    const { relation, key: tableName } = requestTable(req);
+
+    try {
+        const columnNames = (await getTableColumns(table, req.target)).map(col => col.column_name);
+        assertColumns(columnNames, Object.keys(data));
+
+        const keyColumns = await getPrimaryKey(table, req.target);
+        const updates = Object.keys(data)
+            .map((key, i) => `${quoteIdent(key)} = $${i + 1}`)
+            .join(', ');
+        const { clause, values } = buildKeyCondition(keyColumns, id, Object.values(data));
+        const key = buildKeyCondition(keyColumns, id);
+        const notDeleted = await notDeletedCondition(tableName);
+
+        const row = await withTargetTransaction(req, async (client, internal) => {
+            const before = await client.query(
+                `SELECT * FROM ${relation} ${andWhere(key.clause, notDeleted)} FOR UPDATE`,
+                key.values
+            );
+            if (!before.rows.length) return null;
+            assertIfMatch(req, before.rows[0]);
+
+            const result = await client.query(
+                `UPDATE ${relation} SET ${updates} ${clause} RETURNING *`,
+                values
+            );
+            const after = result.rows[0];
+            await recordRowChanges(req, { action: 'update', table: tableName, rowId: id, before: before.rows[0], after }, internal);
+            return after;
+        });
+
+        if (!row) {
+            return res.status(404).json({ error: `No row found in table ${table} with id ${id}.` });
+        }
+        res.set('ETag', rowEtag(row)).status(200).json(row);
+    } catch (err) {
+        if (err.status) {
+            return sendHttpError(res, err);
+        }
+        console.error(`Error updating data in table ${table}:`, err.message);
+        res.status(500).json({ error: `Error updating data in table ${table}: ${err.message}` });
+    }
+};
+
+/**
+ * Dynamic Route: Update a row in a table by primary key.
+ * @swagger
+ * /api/{table}/{id}:
+ *   put:
+ *     summary: Update a row in a table by primary key.
+ *     tags:
+ *       - Dynamic Table API
+ *     parameters:
+ *       - in: path
+ *         name: table
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Name of the table to update data in.
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Primary key of the row to update. For composite keys, comma-separated values in key order.
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from an earlier read of the row. The change is refused with 412 if the row has changed since.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties: true
+ *     responses:
+ *       200:
+ *         description: Row updated successfully. The ETag header holds the row's new version.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               additionalProperties: true
+ *       400:
+ *         description: Invalid table name, column name or key.
+ *       404:
+ *         description: No row matches the given key.
+ *       412:
+ *         description: The row changed since the If-Match ETag was issued. The body holds the current row under `current`.
+ *       403:
+ *         description: The user's role or table grants do not allow this action.
+ *       500:
+ *         description: Internal server error.
+ *   patch:
+ *     summary: Partially update a row in a table by primary key.
+ *     description: Only the columns present in the request body are changed.
+ *     tags:
+ *       - Dynamic Table API
+ *     parameters:
+ *       - in: path
+ *         name: table
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Name of the table to update data in.
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Primary key of the row to update. For composite keys, comma-separated values in key order.
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from an earlier read of the row. The change is refused with 412 if the row has changed since.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties: true
+ *     responses:
+ *       200:
+ *         description: Row updated successfully. The ETag header holds the row's new version.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               additionalProperties: true
+ *       400:
+ *         description: Invalid table name, column name or key.
+ *       404:
+ *         description: No row matches the given key.
+ *       412:
+ *         description: The row changed since the If-Match ETag was issued. The body holds the current row under `current`.
+ *       403:
+ *         description: The user's role or table grants do not allow this action.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/:table/:id', apiLimiter, validateTableName, requirePermission('write'), updateRow);
+router.patch('/:table/:id', apiLimiter, validateTableName, requirePermission('write'), updateRow);
+
+/**
+ * Dynamic Route: Delete a row from a table by primary key.
+ * @swagger
+ * /api/{table}/{id}:
+ *   delete:
+ *     summary: Delete a row from a table by primary key.
+ *     description: On tables with soft delete turned on, the row's deleted_at is set instead and it can be restored.
+ *     tags:
+ *       - Dynamic Table API
+ *     parameters:
+ *       - in: path
+ *         name: table
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Name of the table to delete data from.
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Primary key of the row to delete. For composite keys, comma-separated values in key order.
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from an earlier read of the row. The change is refused with 412 if the row has changed since.
+ *       - in: query
+ *         name: permanent
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: On tables with soft delete, remove the row for good instead of setting deleted_at.
+ *     responses:
+ *       204:
+ *         description: Row deleted successfully.
+ *       400:
+ *         description: Invalid table name or key.
+ *       404:
+ *         description: No row matches the given key.
+ *       412:
+ *         description: The row changed since the If-Match ETag was issued. The body holds the current row under `current`.
+ *       403:
+ *         description: The user's role or table grants do not allow this action.
+ *       500:
+ *         description: Internal server error.
+ */
+router.delete('/:table/:id', apiLimiter, validateTableName, requirePermission('delete'), async (req, res) => {
+    const { table, id } = req.params;
+    const { relation, key } = requestTable(req);
+
+    try {
+        const { clause, values } = buildKeyCondition(await getPrimaryKey(table, req.target), id);
+        const notDeleted = await notDeletedCondition(key);
+        const permanent = String(req.query.permanent).toLowerCase() === 'true';
+
+        const result = await withTargetTransaction(req, async (client, internal) => {
+            if (req.get('If-Match')) {
+                const current = await client.query(`SELECT * FROM ${relation} ${clause} FOR UPDATE`, values);
+                if (current.rows.length) assertIfMatch(req, current.rows[0]);
+            }
+
+            if (notDeleted && !permanent) {
+                const deleted = await client.query(
+                    `UPDATE ${relation} SET ${quoteIdent(SOFT_DELETE_COLUMN)} = now() ${andWhere(clause, notDeleted)} RETURNING *`,
+                    values
+                );
+                await recordRowChanges(req, deleted.rows.map(row => ({ action: 'soft_delete', table: key, rowId: id, after: row })), internal);
+                return deleted;
+            }
+
+            const deleted = await client.query(`DELETE FROM ${relation} ${clause} RETURNING *`, values);
+            await recordRowChanges(req, deleted.rows.map(row => ({ action: 'delete', table: key, rowId: id, before: row })), internal);
+            return deleted;
+        });
+
+        if (!result.rowCount) {
+            return res.status(404).json({ error: `No row found in table ${table} with id ${id}.` });
+        }
+        res.status(204).send();
+    } catch (err) {
+        if (err.status) {
+            return sendHttpError(res, err);
+        }
+        console.error(`Error deleting data from table ${table}:`, err.message);
+        res.status(500).json({ error: `Error deleting data from table ${table}: ${err.message}` });
+    }
+});
+
+/**
+ * Dynamic Route: List the stored versions of a row.
+ * @swagger
+ * /api/{table}/{id}/versions:
+ *   get:
+ *     summary: List earlier versions of a row, newest first.
+ *     description: |
+ *       Versions are recorded for tables with versioning turned on (see `PUT /api/schema/{table}/settings`):
+ *       each update or delete stores the row as it was before the change, including changes made outside the API.
+ *     tags:
+ *       - Dynamic Table API
+ *     parameters:
+ *       - in: path
+ *         name: table
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Name of the table.
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Primary key of the row. For composite keys, comma-separated values in key order.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: The row's versions. `version` identifies a version for restore; `data` is the row as it was.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 versioning:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       version:
+ *                         type: string
+ *                       operation:
+ *                         type: string
+ *                         enum: [update, delete]
+ *                       changedBy:
+ *                         type: string
+ *                         nullable: true
+ *                       changedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       data:
+ *                         type: object
+ *                         additionalProperties: true
+ *       400:
+ *         description: Invalid table name or key.
+ *       403:
+ *         description: The user's role or table grants do not allow this action.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/:table/:id/versions', apiLimiter, validateTableName, requirePermission('read'), async (req, res) => {
+    const { table, id } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const { key } = requestTable(req);
+
+    try {
+        const keyColumns = await getPrimaryKey(table, req.target);
+        const { values: keyValues } = buildKeyCondition(keyColumns, id);
+        const { versioning } = await getTableSettings(key);
+
+        res.status(200).json({
+            versioning,
+            data: await listVersions(key, keyColumns, keyValues, { limit }),
+        });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error(`Error fetching versions from table ${table}:`, err.message);
+        res.status(500).json({ error: `Error fetching versions from table ${table}: ${err.message}` });
+    }
+});
+
+/**
+ * Clear the deleted_at marker of a soft-deleted row
+ */
+const undeleteRow = async (client, { table, relation, softDelete, key, current }) => {
+    if (!softDelete) {
+        throw new HttpError(400, `Table ${table} does not use soft delete; pass a version to restore.`);
+    }
+    if (!current) {
+        throw new HttpError(404, 'No matching row found.');
+    }
+    if (current[SOFT_DELETE_COLUMN] === null) {
+        throw new HttpError(409, 'The row is not deleted.');
+    }
+
+    const result = await client.query(
+        `UPDATE ${relation} SET ${quoteIdent(SOFT_DELETE_COLUMN)} = NULL ${key.clause} RETURNING *`,
+        key.values
+    );
+    return result.rows[0];
+};
+
+/**
+ * Write a stored version back: update the row when it still exists, insert it again otherwise.
+ * Columns dropped since the version was stored are skipped and generated columns are recomputed.
+ */
+const restoreVersion = async (client, { relation, columns, keyColumns, key, current, data }) => {
+    const restorable = columns
+        .filter(col => col.is_generated !== 'ALWAYS' && col.column_name in data)
+        .map(col => col.column_name);
+    const source = (list, placeholder) =>
+        `SELECT ${list.map(quoteIdent).join(', ')} FROM jsonb_populate_record(NULL::${relation}, ${placeholder}::jsonb)`;
+
+    if (!current) {
+        const result = await client.query(
+            `INSERT INTO ${relation} (${restorable.map(quoteIdent).join(', ')}) OVERRIDING SYSTEM VALUE ${source(restorable, '$1')} RETURNING *`,
+            [data]
+        );
+        return result.rows[0];
+    }
+
+    const updated = restorable.filter(column => !keyColumns.includes(column));
+    if (!updated.length) return current;
+    const result = await client.query(
+        `UPDATE ${relation} SET (${updated.map(quoteIdent).join(', ')}) = (${source(updated, `$${key.values.length + 1}`)}) ${key.clause} RETURNING *`,
+        [...key.values, data]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Dynamic Route: Restore a soft-deleted row or an earlier version of a row.
+ * @swagger
+ * /api/{table}/{id}/restore:
+ *   post:
+ *     summary: Undelete a row, or put back an earlier version of it.
+ *     description: |
+ *       Without a `version`, clears the `deleted_at` marker of a soft-deleted row. With a `version`
+ *       from `GET /api/{table}/{id}/versions`, writes that version back, re-inserting the row if it
+ *       was permanently deleted. Restoring a version on a soft-delete table also undeletes the row.
+ *     tags:
+ *       - Dynamic Table API
+ *     parameters:
+ *       - in: path
+ *         name: table
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Name of the table.
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Primary key of the row. For composite keys, comma-separated values in key order.
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from an earlier read of the row. The restore is refused with 412 if the row has changed since.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               version:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: The restored row. The ETag header holds its new version.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               additionalProperties: true
+ *       400:
+ *         description: Invalid key or version, or the table does not use soft delete and no version was given.
+ *       404:
+ *         description: No such row or version.
+ *       409:
+ *         description: The row is not deleted.
+ *       412:
+ *         description: The row changed since the If-Match ETag was issued. The body holds the current row under `current`.
+ *       403:
+ *         description: The user's role or table grants do not allow this action.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/:table/:id/restore', apiLimiter, validateTableName, requirePermission('write'), async (req, res) => {
+    const { table, id } = req.params;
+    const version = req.body ? req.body.version : undefined;
+    const { relation, key: tableName } = requestTable(req);
+
+    try {
+        if (version !== undefined && !/^[1-9]\d*$/.test(String(version))) {
+            throw new HttpError(400, 'version must be a positive integer.');
+        }
+
+        const columns = await getTableColumns(table, req.target);
+        const keyColumns = await getPrimaryKey(table, req.target);
+        const key = buildKeyCondition(keyColumns, id);
+
+        const row = await withTargetTransaction(req, async (client, internal) => {
+            const [current] = (await client.query(`SELECT * FROM ${relation} ${key.clause} FOR UPDATE`, key.values)).rows;
+            if (current) assertIfMatch(req, current);
+            const { softDelete } = await getTableSettings(tableName, internal);
+
+            let restored;
+            if (version === undefined) {
+                restored = await undeleteRow(client, { table, relation, softDelete, key, current });
+            } else {
+                const stored = await getVersion(tableName, keyColumns, key.values, String(version), internal);
+                if (!stored) {
+                    throw new HttpError(404, `Version ${version} of this row was not found.`);
+                }
+                const data = softDelete ? { ...stored.data, [SOFT_DELETE_COLUMN]: null } : stored.data;
+                restored = await restoreVersion(client, { relation, columns, keyColumns, key, current, data });
+            }
+
+            await recordRowChanges(req, {
+                action: 'restore',
+                table: tableName,
+                rowId: id,
+                before: current || null,
+                after: restored,
+                details: { version: version === undefined ? null : String(version) },
+            }, internal);
+            return restored;
+        });
+
+        res.set('ETag', rowEtag(row)).status(200).json(row);
+    } catch (err) {
+        if (err.status) {
+            return sendHttpError(res, err);
+        }
+        console.error(`Error restoring row in table ${table}:`, err.message);
+        res.status(500).json({ error: `Error restoring row in table ${table}: ${err.message}` });
     }
 });
 
@@ -0,0 +1,171 @@
+const express = require('express');
+const { listLoginAttempts, listLockouts, unlock } = require('../db/loginAttempts');
+const { recordAuditSafely } = require('../db/audit');
+const router = express.Router();
+
+const LOCKOUT_KINDS = ['username', 'ip'];
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Logins
+ *     description: Login log, brute-force lockouts and unlocking (admins only)
+ */
+
+/**
+ * Route: Review the login log, newest attempts first.
+ * @swagger
+ * /api/logins:
+ *   get:
+ *     summary: List login attempts (admins only).
+ *     tags:
+ *       - Logins
+ *     parameters:
+ *       - in: query
+ *         name: username
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ip
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: success
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: A page of login attempts with username, IP address, outcome and reason.
+ *       400:
+ *         description: Invalid filter.
+ *       403:
+ *         description: Only admins may review the login log.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/', async (req, res) => {
+    const { username, ip, success, from, to, page = 1, limit = 50 } = req.query;
+    const pageNumber = parseInt(page);
+    const pageSize = Math.min(parseInt(limit), 500);
+
+    if (!(pageNumber > 0) || !(pageSize > 0)) {
+        return res.status(400).json({ error: 'page and limit must be positive integers.' });
+    }
+    if (success !== undefined && !['true', 'false'].includes(success)) {
+        return res.status(400).json({ error: 'success must be true or false.' });
+    }
+    if ([from, to].some(date => date !== undefined && Number.isNaN(Date.parse(date)))) {
+        return res.status(400).json({ error: 'from and to must be valid dates.' });
+    }
+
+    try {
+        const { totalItems, rows } = await listLoginAttempts(
+            { username, ip, success: success === undefined ? undefined : success === 'true', from, to },
+            { limit: pageSize, offset: (pageNumber - 1) * pageSize }
+        );
+        res.status(200).json({
+            totalItems,
+            currentPage: pageNumber,
+            totalPages: Math.ceil(totalItems / pageSize),
+            data: rows,
+        });
+    } catch (err) {
+        console.error('Error fetching login log:', err.message);
+        res.status(500).json({ error: 'Failed to fetch login log' });
+    }
+});
+
+/**
+ * Route: List lockouts.
+ * @swagger
+ * /api/logins/lockouts:
+ *   get:
+ *     summary: List usernames and IP addresses that are locked out or have recent failed logins.
+ *     tags:
+ *       - Logins
+ *     responses:
+ *       200:
+ *         description: Lockouts with their failure count, number of lockouts and `locked_until`.
+ *       403:
+ *         description: Only admins may review lockouts.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/lockouts', async (req, res) => {
+    try {
+        res.status(200).json({ lockouts: await listLockouts() });
+    } catch (err) {
+        console.error('Error fetching lockouts:', err.message);
+        res.status(500).json({ error: 'Failed to fetch lockouts' });
+    }
+});
+
+/**
+ * Route: Unlock a username or IP address.
+ * @swagger
+ * /api/logins/lockouts/{kind}/{key}:
+ *   delete:
+ *     summary: Lift a lockout and reset its failed-attempt count.
+ *     tags:
+ *       - Logins
+ *     parameters:
+ *       - in: path
+ *         name: kind
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [username, ip]
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         description: The username or IP address.
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Unlocked.
+ *       400:
+ *         description: Invalid kind.
+ *       404:
+ *         description: The username or IP address has no failures or lockout.
+ */
+router.delete('/lockouts/:kind/:key', async (req, res) => {
+    const { kind, key } = req.params;
+
+    if (!LOCKOUT_KINDS.includes(kind)) {
+        return res.status(400).json({ error: `kind must be one of: ${LOCKOUT_KINDS.join(', ')}.` });
+    }
+
+    try {
+        if (!(await unlock(kind, key))) {
+            return res.status(404).json({ error: `No failed logins or lockout for ${kind} ${key}.` });
+        }
+        recordAuditSafely(req, { action: 'unlock_login', details: { kind, key } });
+        res.status(204).send();
+    } catch (err) {
+        console.error('Error unlocking login:', err.message);
+        res.status(500).json({ error: 'Failed to unlock login' });
+    }
+});
+
+module.exports = router;
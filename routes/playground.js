@@ -0,0 +1,330 @@
+const express = require('express');
+const { DEFAULT_CONNECTION, DEFAULT_SCHEMA, resolveTarget, setSearchPath } = require('../db/connections');
+const { HttpError } = require('../utils/errors');
+const { can, authorizeQuery } = require('../utils/permissions');
+const { parseFormat, streamQueryToResponse } = require('../utils/export');
+const { recordAuditSafely } = require('../db/audit');
+const { setTransactionUser } = require('../db/transaction');
+const { recordQueryHistory } = require('../db/savedQueries');
+const { bindParameters } = require('../utils/queryParams');
+const { recordQueryTime } = require('../db/slowQueries');
+const router = express.Router();
+
+// Rows returned to the browser for display; the total count is still reported
+const ROW_LIMIT = parseInt(process.env.PLAYGROUND_ROW_LIMIT) || 200;
+
+// Default and maximum statement_timeout for playground queries, in milliseconds
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.PLAYGROUND_STATEMENT_TIMEOUT_MS) || 30000;
+const MAX_TIMEOUT_MS = parseInt(process.env.PLAYGROUND_MAX_TIMEOUT_MS) || 300000;
+
+const MODES = ['read', 'write'];
+
+/**
+ * Read the `:name` placeholder values of a request: an object, or a JSON string when the
+ * request is a form post. Resolves to undefined when there are none.
+ */
+const parseParams = (params) => {
+    if (params === undefined || params === '') return undefined;
+    if (typeof params !== 'string') return params;
+    try {
+        return JSON.parse(params);
+    } catch (err) {
+        throw new HttpError(400, 'params must be a JSON object of placeholder values.');
+    }
+};
+
+/**
+ * Validate the request body, returning the query (with any `params` filled in), mode and timeout to use,
+ * and the target of the `connection` and `schema` it runs on (the default connection's public schema).
+ */
+const parsePlaygroundRequest = (body) => {
+    const { query, mode = 'read', timeoutMs, connection, schema } = body;
+
+    if (!query || !String(query).trim()) {
+        throw new HttpError(400, 'Query is required');
+    }
+    if (!MODES.includes(mode)) {
+        throw new HttpError(400, `Invalid mode: ${mode}. Use "read" or "write".`);
+    }
+    const params = parseParams(body.params);
+
+    const timeout = timeoutMs === undefined ? DEFAULT_TIMEOUT_MS : parseInt(timeoutMs);
+    if (!Number.isInteger(timeout) || timeout <= 0) {
+        throw new HttpError(400, 'timeoutMs must be a positive integer.');
+    }
+
+    return {
+        query: params === undefined ? String(query) : bindParameters(String(query), params),
+        params,
+        mode,
+        timeout: Math.min(timeout, MAX_TIMEOUT_MS),
+        target: resolveTarget(connection || undefined, schema || undefined),
+    };
+};
+
+/**
+ * Run a read-only statement through a cursor: fetch the first `ROW_LIMIT` rows
+ * for display and count the rest without sending them to the server.
+ * Statements that cannot be declared as a cursor (SHOW, EXPLAIN, ...) are run directly.
+ */
+const runRead = async (client, query) => {
+    const statement = query.trim().replace(/;\s*$/, '');
+
+    await client.query('SAVEPOINT playground');
+    try {
+        await client.query({ text: `DECLARE playground_cursor NO SCROLL CURSOR FOR ${statement}`, queryMode: 'extended' });
+    } catch (err) {
+        // 42601: syntax_error, i.e. the statement is not a query a cursor can wrap
+        if (err.code !== '42601') throw err;
+        await client.query('ROLLBACK TO SAVEPOINT playground');
+
+        const result = await client.query({ text: query, queryMode: 'extended' });
+        const rows = result.rows || [];
+        return {
+            command: result.command,
+            fields: (result.fields || []).map(field => field.name),
+            rows: rows.slice(0, ROW_LIMIT),
+            totalRows: rows.length,
+        };
+    }
+
+    const fetched = await client.query(`FETCH FORWARD ${ROW_LIMIT} FROM playground_cursor`);
+    const rest = await client.query('MOVE FORWARD ALL IN playground_cursor');
+    return {
+        command: 'SELECT',
+        fields: fetched.fields.map(field => field.name),
+        rows: fetched.rows,
+        totalRows: fetched.rowCount + rest.rowCount,
+    };
+};
+
+/**
+ * Run a statement that may modify data. Admins may send several statements at once;
+ * everyone else is limited to the single statement that was authorized.
+ */
+const runWrite = async (client, query, user) => {
+    const result = await client.query(can(user, 'ddl') ? query : { text: query, queryMode: 'extended' });
+    const results = Array.isArray(result) ? result : [result];
+    const last = results[results.length - 1];
+    const rows = last.rows || [];
+
+    return {
+        command: last.command,
+        rowCount: last.rowCount,
+        statements: results.map(({ command, rowCount }) => ({ command, rowCount })),
+        fields: (last.fields || []).map(field => field.name),
+        rows: rows.slice(0, ROW_LIMIT),
+        totalRows: rows.length,
+    };
+};
+
+/**
+ * Run a playground statement inside a transaction with a statement_timeout.
+ * Read mode uses a READ ONLY transaction so nothing can be modified, as does write mode for
+ * statements whose plan writes no tables (`readOnly`), so that non-admins cannot reach
+ * side effects such as setval() that no table grant covers.
+ */
+const executeQuery = async (user, { query, mode, timeout, target }, { readOnly }) => {
+    const client = await target.pool.connect();
+
+    try {
+        await client.query(mode === 'read' || readOnly ? 'BEGIN READ ONLY' : 'BEGIN');
+        await client.query("SELECT set_config('statement_timeout', $1, true)", [String(timeout)]);
+        await setSearchPath(client, target.schema);
+        if (mode !== 'read') {
+            await setTransactionUser(client, user);
+        }
+
+        const result = mode === 'read' ? await runRead(client, query) : await runWrite(client, query, user);
+        await client.query('COMMIT');
+        return result;
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Run EXPLAIN on a single statement and resolve to its JSON plan. With `analyze` the statement
+ * is actually executed, so the transaction is always rolled back: writes leave nothing behind.
+ */
+const explainQuery = async (user, { query, timeout, target }, { analyze, readOnly }) => {
+    const client = await target.pool.connect();
+    const options = analyze ? 'ANALYZE, BUFFERS, FORMAT JSON' : 'FORMAT JSON';
+
+    try {
+        await client.query(readOnly ? 'BEGIN READ ONLY' : 'BEGIN');
+        await client.query("SELECT set_config('statement_timeout', $1, true)", [String(timeout)]);
+        await setSearchPath(client, target.schema);
+        await setTransactionUser(client, user);
+
+        const statement = query.trim().replace(/;\s*$/, '');
+        const result = await client.query({ text: `EXPLAIN (${options}) ${statement}`, queryMode: 'extended' });
+        return result.rows[0]['QUERY PLAN'][0];
+    } finally {
+        await client.query('ROLLBACK').catch(() => {});
+        client.release();
+    }
+};
+
+/**
+ * Add a playground statement to the slow query log when it took long enough.
+ */
+const recordPlaygroundTime = (req, query, durationMs, details) =>
+    recordQueryTime({
+        source: 'playground',
+        username: req.user.username,
+        route: `${req.method} ${req.originalUrl}`,
+        query,
+        durationMs,
+        ...details,
+    }).catch(err => console.error('Error recording query time:', err.message));
+
+/**
+ * Record a playground statement in the audit log, whether it succeeded or not.
+ */
+const auditQuery = (req, query, details) =>
+    recordAuditSafely(req, { action: 'query', query: String(query), details });
+
+/**
+ * Audit details naming the connection and schema a query ran on, when not the default ones.
+ */
+const targetDetails = ({ connection, schema }) =>
+    (connection === DEFAULT_CONNECTION && schema === DEFAULT_SCHEMA ? {} : { connection, schema });
+
+/**
+ * Add a run to the user's query history, with the SQL as typed (placeholders and all) so it
+ * can be run again with other values.
+ */
+const recordHistory = (req, startedAt, details) =>
+    recordQueryHistory(req.user.username, {
+        query: String(req.body.query),
+        params: req.body.params && typeof req.body.params === 'object' ? req.body.params : null,
+        mode: req.body.mode || 'read',
+        savedQueryId: parseInt(req.body.savedQueryId) || null,
+        durationMs: Date.now() - startedAt,
+        ...details,
+    }).catch(err => console.error('Error writing query history:', err.message));
+
+/**
+ * Route: Run a SQL Playground query
+ *
+ * `mode: "read"` (default) runs the statement in a READ ONLY transaction and returns at most
+ * PLAYGROUND_ROW_LIMIT rows with `truncated` and `totalRows`. `mode: "write"` allows
+ * INSERT/UPDATE/DELETE/DDL but must be sent with `confirm: true`, and reports the command and
+ * rowCount of each statement. `:name` placeholders are filled from `params`, and every run is
+ * added to the user's query history (with `savedQueryId` when it was opened from a saved query).
+ */
+router.post('/', async (req, res) => {
+    const startedAt = Date.now();
+    let durationMs = null;
+    try {
+        const request = parsePlaygroundRequest(req.body);
+        const { readOnly } = await authorizeQuery(req.user, request.query, request.target);
+
+        if (request.mode === 'write' && req.body.confirm !== true) {
+            return res.status(400).json({
+                error: 'Write mode must be confirmed. Resend the query with "confirm": true.',
+                requiresConfirmation: true,
+            });
+        }
+        if (request.mode === 'read' && !readOnly && !can(req.user, 'ddl')) {
+            throw new HttpError(400, 'This statement modifies data. Run it in write mode.');
+        }
+
+        const executedAt = process.hrtime.bigint();
+        let result;
+        try {
+            result = await executeQuery(req.user, request, { readOnly });
+        } finally {
+            durationMs = Number(process.hrtime.bigint() - executedAt) / 1e6;
+        }
+        const rowCount = result.rowCount === undefined ? result.totalRows : result.rowCount;
+        await auditQuery(req, request.query, { mode: request.mode, command: result.command, rowCount, ...targetDetails(request.target) });
+        recordHistory(req, startedAt, { success: true, rowCount });
+        recordPlaygroundTime(req, request.query, durationMs, { rowCount });
+        res.status(200).json({
+            mode: request.mode,
+            ...result,
+            truncated: result.totalRows > result.rows.length,
+            durationMs: Math.round(durationMs),
+        });
+    } catch (err) {
+        console.error('Error executing query:', err.message);
+        if (req.body.query) {
+            await auditQuery(req, req.body.query, { mode: req.body.mode || 'read', error: err.message });
+            recordHistory(req, startedAt, { success: false, error: err.message });
+        }
+        if (durationMs !== null) {
+            recordPlaygroundTime(req, String(req.body.query), durationMs, { error: err.message });
+        }
+        // 25006: read_only_sql_transaction, i.e. a write attempted in read mode, or a side effect
+        // outside any table (setval(), ...) in write mode, which only admins may cause
+        if (err.code === '25006') {
+            const hint = req.body.mode === 'write'
+                ? 'Only admins may run statements that change data outside the tables they can write to.'
+                : 'Switch to write mode to modify data.';
+            return res.status(403).json({ error: `${err.message}. ${hint}` });
+        }
+        res.status(err.status || 400).json({ error: err.message });
+    }
+});
+
+/**
+ * Route: Show the query plan of a SQL Playground statement
+ *
+ * Returns Postgres' EXPLAIN (FORMAT JSON) output for one statement: the `Plan` tree with the
+ * estimated cost and rows of each node. `analyze: true` runs the statement to add actual times,
+ * row counts and buffer usage; it is always rolled back, so explaining a write changes nothing.
+ * The same permissions apply as for running the statement.
+ */
+router.post('/explain', async (req, res) => {
+    const analyze = req.body.analyze === true || req.body.analyze === 'true';
+    try {
+        const request = parsePlaygroundRequest(req.body);
+        const { readOnly } = await authorizeQuery(req.user, request.query, request.target);
+
+        const plan = await explainQuery(req.user, request, { analyze, readOnly });
+        await auditQuery(req, request.query, { mode: 'explain', analyze, ...targetDetails(request.target) });
+        res.status(200).json({ analyze, plan });
+    } catch (err) {
+        console.error('Error explaining query:', err.message);
+        res.status(err.status || 400).json({ error: err.message });
+    }
+});
+
+/**
+ * Route: Stream SQL Playground query results as a CSV, NDJSON or JSON download.
+ * Exports always run in a READ ONLY transaction.
+ */
+router.post('/export', async (req, res) => {
+    const { format } = req.body;
+
+    if (!req.body.query) {
+        return res.status(400).json({ error: 'Query is required' });
+    }
+
+    try {
+        const params = parseParams(req.body.params);
+        const query = params === undefined ? String(req.body.query) : bindParameters(String(req.body.query), params);
+        const exportFormat = parseFormat(format);
+        const target = resolveTarget(req.body.connection || undefined, req.body.schema || undefined);
+        await authorizeQuery(req.user, query, target);
+        await auditQuery(req, query, { mode: 'export', format: exportFormat, ...targetDetails(target) });
+        await streamQueryToResponse(res, {
+            text: query,
+            format: exportFormat,
+            filename: 'query_results',
+            readOnly: true,
+            db: target.pool,
+            schema: target.schema,
+        });
+    } catch (err) {
+        console.error('Error exporting query:', err.message);
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,210 @@
+const express = require('express');
+const {
+    EVERYONE,
+    listQueryHistory,
+    clearQueryHistory,
+    listSavedQueries,
+    getSavedQuery,
+    createSavedQuery,
+    updateSavedQuery,
+    deleteSavedQuery,
+} = require('../db/savedQueries');
+const { listUsers } = require('../utils/users');
+const { can } = require('../utils/permissions');
+const { findParameters } = require('../utils/queryParams');
+const { HttpError } = require('../utils/errors');
+const router = express.Router();
+
+/**
+ * Add the playground link that opens a saved query.
+ */
+const withUrl = (savedQuery) => ({ ...savedQuery, url: `/sql-playground?saved=${savedQuery.id}` });
+
+/**
+ * Validate the fields of a saved query create or update request. `partial` allows omitted fields.
+ * The placeholders are read from the query, so a form can ask for their values.
+ */
+const parseSavedQuery = ({ name, description, query, sharedWith }, partial = false) => {
+    if (!partial || name !== undefined) {
+        if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+            throw new HttpError(400, 'name must be a non-empty string of at most 100 characters.');
+        }
+    }
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+        throw new HttpError(400, 'description must be a string.');
+    }
+    if (!partial || query !== undefined) {
+        if (typeof query !== 'string' || !query.trim()) {
+            throw new HttpError(400, 'query is required.');
+        }
+    }
+    if (sharedWith !== undefined) {
+        if (!Array.isArray(sharedWith) || sharedWith.some(username => typeof username !== 'string')) {
+            throw new HttpError(400, `sharedWith must be an array of usernames, or ["${EVERYONE}"] to share with everyone.`);
+        }
+        const usernames = listUsers().map(user => user.username);
+        const unknown = sharedWith.filter(username => username !== EVERYONE && !usernames.includes(username));
+        if (unknown.length) {
+            throw new HttpError(400, `Unknown users: ${unknown.join(', ')}.`);
+        }
+    }
+
+    return {
+        name: name === undefined ? undefined : name.trim(),
+        description,
+        query,
+        parameters: query === undefined ? undefined : findParameters(query),
+        sharedWith: sharedWith === undefined ? (partial ? undefined : []) : [...new Set(sharedWith)],
+    };
+};
+
+const parseId = (value) => {
+    const id = parseInt(value);
+    if (!Number.isInteger(id) || String(id) !== String(value)) {
+        throw new HttpError(400, 'Invalid saved query id.');
+    }
+    return id;
+};
+
+/**
+ * Route: Page through the logged-in user's playground runs, newest first.
+ *
+ * Each run has its SQL as typed, `params`, `mode`, `success`, `error`, `row_count`,
+ * `duration_ms` and `ran_at`. `search` keeps runs whose SQL contains the text.
+ */
+router.get('/history', async (req, res) => {
+    const { search, page = 1, limit = 50 } = req.query;
+    const pageNumber = parseInt(page);
+    const pageSize = Math.min(parseInt(limit), 500);
+
+    if (!(pageNumber > 0) || !(pageSize > 0)) {
+        return res.status(400).json({ error: 'page and limit must be positive integers.' });
+    }
+
+    try {
+        const { totalItems, rows } = await listQueryHistory(req.user.username, {
+            search,
+            limit: pageSize,
+            offset: (pageNumber - 1) * pageSize,
+        });
+        res.status(200).json({
+            totalItems,
+            currentPage: pageNumber,
+            totalPages: Math.ceil(totalItems / pageSize),
+            data: rows,
+        });
+    } catch (err) {
+        console.error('Error fetching query history:', err.message);
+        res.status(500).json({ error: 'Failed to fetch query history' });
+    }
+});
+
+/**
+ * Route: Clear the logged-in user's query history
+ */
+router.delete('/history', async (req, res) => {
+    try {
+        res.status(200).json({ deleted: await clearQueryHistory(req.user.username) });
+    } catch (err) {
+        console.error('Error clearing query history:', err.message);
+        res.status(500).json({ error: 'Failed to clear query history' });
+    }
+});
+
+/**
+ * Route: List the user's saved queries and those shared with them
+ */
+router.get('/saved', async (req, res) => {
+    try {
+        const savedQueries = await listSavedQueries(req.user.username);
+        res.status(200).json({ savedQueries: savedQueries.map(withUrl) });
+    } catch (err) {
+        console.error('Error listing saved queries:', err.message);
+        res.status(500).json({ error: 'Failed to list saved queries' });
+    }
+});
+
+/**
+ * Route: Save a query under a name
+ *
+ * `sharedWith` lists the users who may open and run it (under their own permissions),
+ * or `["*"]` for everyone. `:name` placeholders are filled in when the query is run.
+ */
+router.post('/saved', async (req, res) => {
+    try {
+        const savedQuery = await createSavedQuery(req.user.username, parseSavedQuery(req.body || {}));
+        if (!savedQuery) {
+            return res.status(409).json({ error: `You already have a saved query named "${req.body.name.trim()}".` });
+        }
+        res.status(201).json(withUrl(savedQuery));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Error saving query:', err.message);
+        res.status(500).json({ error: 'Failed to save query' });
+    }
+});
+
+/**
+ * Route: Open a saved query the user owns or that is shared with them
+ */
+router.get('/saved/:id', async (req, res) => {
+    try {
+        const savedQuery = await getSavedQuery(req.user.username, parseId(req.params.id));
+        if (!savedQuery) {
+            return res.status(404).json({ error: 'No saved query with this id is shared with you.' });
+        }
+        res.status(200).json(withUrl(savedQuery));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Error fetching saved query:', err.message);
+        res.status(500).json({ error: 'Failed to fetch saved query' });
+    }
+});
+
+/**
+ * Route: Rename, edit or re-share a saved query (owner only)
+ */
+router.patch('/saved/:id', async (req, res) => {
+    try {
+        const savedQuery = await updateSavedQuery(req.user.username, parseId(req.params.id), parseSavedQuery(req.body || {}, true));
+        if (!savedQuery) {
+            return res.status(404).json({ error: 'You have no saved query with this id.' });
+        }
+        res.status(200).json(withUrl(savedQuery));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        // 23505: unique_violation, i.e. renamed onto another of the owner's names
+        if (err.code === '23505') {
+            return res.status(409).json({ error: `You already have a saved query named "${req.body.name.trim()}".` });
+        }
+        console.error('Error updating saved query:', err.message);
+        res.status(500).json({ error: 'Failed to update saved query' });
+    }
+});
+
+/**
+ * Route: Delete a saved query (its owner, or an admin)
+ */
+router.delete('/saved/:id', async (req, res) => {
+    try {
+        const deleted = await deleteSavedQuery(req.user.username, parseId(req.params.id), { any: can(req.user, 'ddl') });
+        if (!deleted) {
+            return res.status(404).json({ error: 'You have no saved query with this id.' });
+        }
+        res.status(204).send();
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Error deleting saved query:', err.message);
+        res.status(500).json({ error: 'Failed to delete saved query' });
+    }
+});
+
+module.exports = router;
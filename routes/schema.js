@@ -0,0 +1,508 @@
+const express = require('express');
+const { describeTables } = require('../db/schema');
+const { can } = require('../utils/permissions');
+const { buildDdl, buildRollback, runDdl } = require('../utils/ddl');
+const { recordAudit, recordAuditSafely } = require('../db/audit');
+const { createMigration } = require('../db/migrations');
+const { getTableSettings, updateTableSettings, syncTableSettings } = require('../db/tableSettings');
+const { requirePermission } = require('../middleware/permissions');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Schema
+ *     description: Columns, keys and indexes of the tables you can read, and table-structure changes (admins only)
+ *
+ * components:
+ *   schemas:
+ *     TableSchema:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [table, view]
+ *         comment:
+ *           type: string
+ *           nullable: true
+ *         approximateRowCount:
+ *           type: integer
+ *           nullable: true
+ *           description: Planner estimate from pg_class.reltuples; null for views and tables never analyzed.
+ *         columns:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *               nullable:
+ *                 type: boolean
+ *               default:
+ *                 type: string
+ *                 nullable: true
+ *               identity:
+ *                 type: boolean
+ *               comment:
+ *                 type: string
+ *                 nullable: true
+ *               enumValues:
+ *                 type: array
+ *                 nullable: true
+ *                 items:
+ *                   type: string
+ *                 description: Allowed labels when the column (or its array elements) is an enum type.
+ *         primaryKey:
+ *           type: array
+ *           items:
+ *             type: string
+ *         foreignKeys:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               columns:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               referencedTable:
+ *                 type: string
+ *               referencedColumns:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               onUpdate:
+ *                 type: string
+ *               onDelete:
+ *                 type: string
+ *         indexes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               unique:
+ *                 type: boolean
+ *               primary:
+ *                 type: boolean
+ *               columns:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               definition:
+ *                 type: string
+ */
+
+/**
+ * Route: Describe every table the user may read.
+ * @swagger
+ * /api/schema:
+ *   get:
+ *     summary: Describe all readable tables.
+ *     tags:
+ *       - Schema
+ *     responses:
+ *       200:
+ *         description: One entry per table, ordered by name.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tables:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TableSchema'
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/', async (req, res) => {
+    try {
+        const tables = (await describeTables()).filter(table => can(req.user, 'read', table.name));
+        res.status(200).json({ tables });
+    } catch (err) {
+        console.error('Error describing tables:', err.message);
+        res.status(500).json({ error: 'Failed to describe tables' });
+    }
+});
+
+/**
+ * Route: Describe a single table.
+ * @swagger
+ * /api/schema/{table}:
+ *   get:
+ *     summary: Describe a table's columns, keys and indexes.
+ *     tags:
+ *       - Schema
+ *     parameters:
+ *       - in: path
+ *         name: table
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The table description.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TableSchema'
+ *       403:
+ *         description: The user's role or table grants do not allow reading this table.
+ *       404:
+ *         description: No such table.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/:table', async (req, res) => {
+    const { table } = req.params;
+
+    if (!can(req.user, 'read', table)) {
+        return res.status(403).json({ error: `You do not have read permission on table ${table}.` });
+    }
+
+    try {
+        const [description] = await describeTables([table]);
+        if (!description) {
+            return res.status(404).json({ error: `Table ${table} does not exist.` });
+        }
+        res.status(200).json(description);
+    } catch (err) {
+        console.error(`Error describing table ${table}:`, err.message);
+        res.status(500).json({ error: `Failed to describe table ${table}` });
+    }
+});
+
+/**
+ * Route: Show a table's opt-in behaviours.
+ * @swagger
+ * /api/schema/{table}/settings:
+ *   get:
+ *     summary: Show whether a table uses soft delete, row versioning and the change feed.
+ *     tags:
+ *       - Schema
+ *     parameters:
+ *       - in: path
+ *         name: table
+ *         required: true
+ *         description: The table key, e.g. `leads` or `staging.leads` for another schema of the main database.
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The table's settings.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TableSettings'
+ *       403:
+ *         description: The user's role or table grants do not allow reading this table.
+ *       500:
+ *         description: Internal server error.
+ *   put:
+ *     summary: Turn soft delete, row versioning and the change feed on or off for a table (admins only).
+ *     description: |
+ *       With `softDelete`, `DELETE /api/{table}/{id}` sets a `deleted_at` timestamp (added to the table
+ *       if missing) instead of removing the row, and soft-deleted rows are hidden unless `includeDeleted=true`.
+ *       With `versioning`, a trigger keeps the previous version of every updated or deleted row, whatever
+ *       made the change; see `GET /api/{table}/{id}/versions` and `POST /api/{table}/{id}/restore`.
+ *       With `changeFeed`, a trigger publishes every insert, update and delete to `GET /api/{table}/subscribe`.
+ *       Omitted settings keep their current value.
+ *     tags:
+ *       - Schema
+ *     parameters:
+ *       - in: path
+ *         name: table
+ *         required: true
+ *         description: The table key, e.g. `leads` or `staging.leads` for another schema of the main database.
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TableSettings'
+ *     responses:
+ *       200:
+ *         description: The new settings.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TableSettings'
+ *       400:
+ *         description: Invalid settings, or a table of another connection.
+ *       403:
+ *         description: Only admins may change table settings.
+ *       404:
+ *         description: No such table.
+ *       500:
+ *         description: Internal server error.
+ *
+ * components:
+ *   schemas:
+ *     TableSettings:
+ *       type: object
+ *       properties:
+ *         softDelete:
+ *           type: boolean
+ *         versioning:
+ *           type: boolean
+ *         changeFeed:
+ *           type: boolean
+ */
+router.get('/:table/settings', async (req, res) => {
+    const { table } = req.params;
+
+    if (!can(req.user, 'read', table)) {
+        return res.status(403).json({ error: `You do not have read permission on table ${table}.` });
+    }
+
+    try {
+        res.status(200).json(await getTableSettings(table));
+    } catch (err) {
+        console.error(`Error fetching settings of table ${table}:`, err.message);
+        res.status(500).json({ error: `Failed to fetch settings of table ${table}` });
+    }
+});
+
+router.put('/:table/settings', requirePermission('ddl'), async (req, res) => {
+    const { table } = req.params;
+
+    try {
+        res.status(200).json(await updateTableSettings(req, table, req.body));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error(`Error updating settings of table ${table}:`, err.message);
+        res.status(500).json({ error: `Error updating settings of table ${table}: ${err.message}` });
+    }
+});
+
+/**
+ * Route: Change table structure with typed operations (admins only).
+ * @swagger
+ * /api/schema/changes:
+ *   post:
+ *     summary: Create, alter, rename or drop tables, columns, indexes and constraints.
+ *     description: |
+ *       Each operation is turned into DDL with every identifier quoted and column types taken from
+ *       an allow-list. All operations run in a single transaction: if any fails, nothing is changed.
+ *       With `dryRun: true` the DDL is executed and then rolled back, so the response previews the
+ *       exact statements and reports any error Postgres would raise.
+ *
+ *       With `emitMigration: true` the DDL is checked the same way and then written to a new file in the
+ *       migrations directory instead of being executed; apply it with `node migrate.js up`. The down
+ *       section undoes the operations when they can be reversed (creates, adds and renames; indexes and
+ *       constraints only when named).
+ *
+ *       Operations (`op`): `create_table` (`table`, `columns`, optional `primaryKey`; an `id serial`
+ *       primary key is added when none is given), `drop_table` (`table`, `cascade`), `rename_table`
+ *       (`table`, `newName`), `add_column` (`table`, `column`), `drop_column` (`table`, `column`, `cascade`),
+ *       `rename_column` (`table`, `column`, `newName`), `alter_column` (`table`, `column`, and any of
+ *       `type`, `nullable`, `default`, `defaultFunction`, `dropDefault`), `add_index` (`table`, `columns`,
+ *       `unique`, `name`, `method`), `drop_index` (`index`), `add_unique` (`table`, `columns`, `name`),
+ *       `add_foreign_key` (`table`, `columns`, `references`, `name`) and `drop_constraint` (`table`, `constraint`).
+ *     tags:
+ *       - Schema
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - operations
+ *             properties:
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *               emitMigration:
+ *                 type: boolean
+ *                 default: false
+ *               migrationName:
+ *                 type: string
+ *                 description: Name of the emitted migration file; defaults to the operations performed.
+ *               operations:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/SchemaOperation'
+ *           example:
+ *             dryRun: true
+ *             operations:
+ *               - op: create_table
+ *                 table: orders
+ *                 columns:
+ *                   - { name: customer_id, type: integer, nullable: false, references: { table: customers, onDelete: cascade } }
+ *                   - { name: total, type: numeric, precision: 10, scale: 2, default: 0 }
+ *                   - { name: created_at, type: timestamptz, defaultFunction: now }
+ *               - op: add_index
+ *                 table: orders
+ *                 columns: [customer_id, created_at]
+ *     responses:
+ *       200:
+ *         description: Dry run succeeded; nothing was changed.
+ *       201:
+ *         description: All operations were applied, or the migration file was written.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dryRun:
+ *                   type: boolean
+ *                 migration:
+ *                   type: object
+ *                   description: The emitted migration (version, name, file), with emitMigration only.
+ *                 statements:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Invalid operation, or Postgres rejected a statement; nothing was changed.
+ *       403:
+ *         description: Only admins may change table structure.
+ *       500:
+ *         description: Internal server error.
+ *
+ * components:
+ *   schemas:
+ *     ColumnDefinition:
+ *       type: object
+ *       required:
+ *         - name
+ *         - type
+ *       properties:
+ *         name:
+ *           type: string
+ *         type:
+ *           type: string
+ *           description: One of smallint, integer, bigint, serial, bigserial, numeric, real, double precision, boolean, text, varchar, char, date, time, timestamp, timestamptz, uuid, json, jsonb, bytea.
+ *         length:
+ *           type: integer
+ *           description: For varchar and char.
+ *         precision:
+ *           type: integer
+ *         scale:
+ *           type: integer
+ *         array:
+ *           type: boolean
+ *         nullable:
+ *           type: boolean
+ *           default: true
+ *         default:
+ *           description: Literal default value.
+ *         defaultFunction:
+ *           type: string
+ *           enum: [now, current_timestamp, current_date, gen_random_uuid]
+ *         unique:
+ *           type: boolean
+ *         primaryKey:
+ *           type: boolean
+ *         references:
+ *           $ref: '#/components/schemas/ForeignKeyTarget'
+ *     ForeignKeyTarget:
+ *       type: object
+ *       required:
+ *         - table
+ *       properties:
+ *         table:
+ *           type: string
+ *         columns:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Defaults to the referenced table's primary key.
+ *         onDelete:
+ *           type: string
+ *           enum: [no action, restrict, cascade, set null, set default]
+ *         onUpdate:
+ *           type: string
+ *           enum: [no action, restrict, cascade, set null, set default]
+ *     SchemaOperation:
+ *       type: object
+ *       required:
+ *         - op
+ *       properties:
+ *         op:
+ *           type: string
+ *           enum: [create_table, drop_table, rename_table, add_column, drop_column, rename_column, alter_column, add_index, drop_index, add_unique, add_foreign_key, drop_constraint]
+ *         table:
+ *           type: string
+ *         newName:
+ *           type: string
+ *         columns:
+ *           type: array
+ *           description: Column definitions for create_table; column names for indexes and constraints.
+ *           items: {}
+ *         column:
+ *           description: A column definition for add_column; a column name otherwise.
+ *         primaryKey:
+ *           type: array
+ *           items:
+ *             type: string
+ *         references:
+ *           $ref: '#/components/schemas/ForeignKeyTarget'
+ *         unique:
+ *           type: boolean
+ *         cascade:
+ *           type: boolean
+ *         name:
+ *           type: string
+ *         index:
+ *           type: string
+ *         constraint:
+ *           type: string
+ */
+router.post('/changes', requirePermission('ddl'), async (req, res) => {
+    const { operations, migrationName } = req.body;
+    const dryRun = req.body.dryRun === true;
+
+    try {
+        const statements = buildDdl(operations);
+
+        if (req.body.emitMigration === true) {
+            await runDdl(statements, { dryRun: true });
+            const rollback = buildRollback(operations);
+            const migration = createMigration(migrationName || operations.map(({ op, table }) => `${op}_${table || ''}`).join('_'), {
+                up: statements.map(({ statement }) => statement),
+                down: rollback.statements,
+                downNote: rollback.irreversible.length
+                    ? `Not generated: cannot automatically undo ${rollback.irreversible.join(', ')}.`
+                    : null,
+            });
+            await recordAuditSafely(req, { action: 'emit_migration', details: migration });
+            return res.status(201).json({ dryRun: false, migration, statements: statements.map(({ statement }) => statement) });
+        }
+
+        await runDdl(statements, {
+            dryRun,
+            beforeCommit: async (client) => {
+                await syncTableSettings(client, operations);
+                await recordAudit(req, statements.map(({ op, table, statement }) => ({
+                    action: op,
+                    table,
+                    query: statement,
+                })), client);
+            },
+        });
+
+        res.status(dryRun ? 200 : 201).json({ dryRun, statements: statements.map(({ statement }) => statement) });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Error changing table structure:', err.message);
+        res.status(500).json({ error: `Error changing table structure: ${err.message}` });
+    }
+});
+
+module.exports = router;
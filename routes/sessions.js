@@ -0,0 +1,79 @@
+const express = require('express');
+const { listSessions, revokeSession } = require('../db/sessions');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Sessions
+ *     description: The logged-in user's browser sessions (from a logged-in session)
+ */
+
+/**
+ * Route: List the logged-in user's active sessions.
+ * @swagger
+ * /api/sessions:
+ *   get:
+ *     summary: List your active sessions, most recently used first.
+ *     tags:
+ *       - Sessions
+ *     responses:
+ *       200:
+ *         description: Sessions with their IP address, browser, login and last use times; `current` marks this one.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/', async (req, res) => {
+    try {
+        const sessions = await listSessions(req.user.username, req.sessionID);
+        res.status(200).json({ sessions });
+    } catch (err) {
+        console.error('Error fetching sessions:', err.message);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+});
+
+/**
+ * Route: Revoke one of the logged-in user's sessions.
+ * @swagger
+ * /api/sessions/{id}:
+ *   delete:
+ *     summary: Sign out one of your sessions, e.g. on a lost or shared computer.
+ *     tags:
+ *       - Sessions
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Session revoked; its browser is signed out on its next request.
+ *       400:
+ *         description: Invalid session ID.
+ *       404:
+ *         description: No active session with this ID.
+ *       500:
+ *         description: Internal server error.
+ */
+router.delete('/:id', async (req, res) => {
+    const id = parseInt(req.params.id);
+
+    if (!Number.isInteger(id)) {
+        return res.status(400).json({ error: 'Invalid session id.' });
+    }
+
+    try {
+        const revoked = await revokeSession(req.user.username, id);
+        if (!revoked) {
+            return res.status(404).json({ error: `No active session with id ${id}.` });
+        }
+        res.status(204).send();
+    } catch (err) {
+        console.error('Error revoking session:', err.message);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+});
+
+module.exports = router;
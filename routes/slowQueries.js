@@ -0,0 +1,79 @@
+const express = require('express');
+const { SLOW_QUERY_MS, listSlowQueries } = require('../db/slowQueries');
+const router = express.Router();
+
+const SOURCES = ['crud', 'playground'];
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Slow Queries
+ *     description: The slowest recent playground and CRUD queries (admins only)
+ */
+
+/**
+ * Route: List the slowest recent queries.
+ * @swagger
+ * /api/slow-queries:
+ *   get:
+ *     summary: List the slowest queries logged recently, slowest first (admins only).
+ *     description: >
+ *       Playground statements and the statements run by CRUD requests are logged when they take
+ *       at least SLOW_QUERY_MS milliseconds, with the user and request that ran them.
+ *     tags:
+ *       - Slow Queries
+ *     parameters:
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [crud, playground]
+ *       - in: query
+ *         name: since
+ *         description: Only queries run since this time. Defaults to the last 24 hours.
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: The logging threshold and the slowest queries with their duration, user, route, row count and error.
+ *       400:
+ *         description: Invalid filter.
+ *       403:
+ *         description: Only admins may review slow queries.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/', async (req, res) => {
+    const { source, since, limit = 50 } = req.query;
+    const maxRows = Math.min(parseInt(limit), 500);
+
+    if (!(maxRows > 0)) {
+        return res.status(400).json({ error: 'limit must be a positive integer.' });
+    }
+    if (source !== undefined && !SOURCES.includes(source)) {
+        return res.status(400).json({ error: `Invalid source: ${source}. Use ${SOURCES.join(' or ')}.` });
+    }
+    if (since !== undefined && Number.isNaN(Date.parse(since))) {
+        return res.status(400).json({ error: 'since must be a valid date.' });
+    }
+
+    try {
+        const slowQueries = await listSlowQueries({
+            source,
+            since: since || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
+            limit: maxRows,
+        });
+        res.status(200).json({ thresholdMs: SLOW_QUERY_MS, slowQueries });
+    } catch (err) {
+        console.error('Error fetching slow queries:', err.message);
+        res.status(500).json({ error: 'Failed to fetch slow queries' });
+    }
+});
+
+module.exports = router;
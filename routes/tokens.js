@@ -0,0 +1,154 @@
+const express = require('express');
+const { SCOPES, createToken, listTokens, revokeToken } = require('../db/tokens');
+const { can } = require('../utils/permissions');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: API Tokens
+ *     description: "Personal access tokens for scripts and ETL jobs (send as `Authorization: Bearer <token>`)"
+ */
+
+/**
+ * Route: Create a personal access token for the logged-in user.
+ * @swagger
+ * /api/tokens:
+ *   post:
+ *     summary: Create a personal access token.
+ *     description: The plaintext token is only returned in this response; the server stores a hash.
+ *     tags:
+ *       - API Tokens
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scope:
+ *                 type: string
+ *                 enum: [read, read-write]
+ *                 default: read
+ *               tables:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Optional allow-list of tables the token may access.
+ *               expiresInDays:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Token created.
+ *       400:
+ *         description: Invalid request payload.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/', async (req, res) => {
+    const { name, scope = 'read', tables, expiresInDays } = req.body;
+
+    if (!name || typeof name !== 'string') {
+        return res.status(400).json({ error: 'Token name is required.' });
+    }
+    if (!SCOPES.includes(scope)) {
+        return res.status(400).json({ error: `Invalid scope: ${scope}. Use one of: ${SCOPES.join(', ')}.` });
+    }
+    if (tables !== undefined && (!Array.isArray(tables) || tables.some(table => typeof table !== 'string'))) {
+        return res.status(400).json({ error: 'tables must be an array of table names.' });
+    }
+    if (expiresInDays !== undefined && !(Number.isInteger(expiresInDays) && expiresInDays > 0)) {
+        return res.status(400).json({ error: 'expiresInDays must be a positive integer.' });
+    }
+
+    try {
+        const token = await createToken(req.user.username, {
+            name,
+            scope,
+            tables: tables && tables.length ? tables : null,
+            expiresInDays: expiresInDays || null,
+        });
+        res.status(201).json(token);
+    } catch (err) {
+        console.error('Error creating API token:', err.message);
+        res.status(500).json({ error: 'Failed to create API token' });
+    }
+});
+
+/**
+ * Route: List API tokens.
+ * @swagger
+ * /api/tokens:
+ *   get:
+ *     summary: List your API tokens (admins can pass all=true to list every user's tokens).
+ *     tags:
+ *       - API Tokens
+ *     parameters:
+ *       - in: query
+ *         name: all
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Tokens without their secret values.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/', async (req, res) => {
+    const all = req.query.all === 'true' && can(req.user, 'ddl');
+
+    try {
+        const tokens = await listTokens(all ? null : req.user.username);
+        res.status(200).json({ tokens });
+    } catch (err) {
+        console.error('Error listing API tokens:', err.message);
+        res.status(500).json({ error: 'Failed to list API tokens' });
+    }
+});
+
+/**
+ * Route: Revoke an API token.
+ * @swagger
+ * /api/tokens/{id}:
+ *   delete:
+ *     summary: Revoke an API token (admins may revoke any user's token).
+ *     tags:
+ *       - API Tokens
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Token revoked.
+ *       404:
+ *         description: No active token with this id.
+ *       500:
+ *         description: Internal server error.
+ */
+router.delete('/:id', async (req, res) => {
+    const id = parseInt(req.params.id);
+
+    if (!Number.isInteger(id)) {
+        return res.status(400).json({ error: 'Invalid token id.' });
+    }
+
+    try {
+        const revoked = await revokeToken(id, can(req.user, 'ddl') ? null : req.user.username);
+        if (!revoked) {
+            return res.status(404).json({ error: `No active token with id ${id}.` });
+        }
+        res.status(204).send();
+    } catch (err) {
+        console.error('Error revoking API token:', err.message);
+        res.status(500).json({ error: 'Failed to revoke API token' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,343 @@
+const express = require('express');
+const { listUsers, createUser, updateUser, resetPassword, removeUser } = require('../utils/users');
+const { listSessions, revokeUserSessions } = require('../db/sessions');
+const { recordAuditSafely } = require('../db/audit');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Users
+ *     description: Manage user accounts, roles and passwords (admins only, from a logged-in session)
+ *
+ * components:
+ *   schemas:
+ *     User:
+ *       type: object
+ *       properties:
+ *         username:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [admin, editor, viewer]
+ *         tables:
+ *           type: object
+ *           nullable: true
+ *           description: 'Per-table grants, e.g. `{ "*": ["read"], "leads": ["read", "write"] }`.'
+ *           additionalProperties:
+ *             type: array
+ *             items:
+ *               type: string
+ *               enum: [read, write, delete]
+ *         connections:
+ *           type: object
+ *           nullable: true
+ *           description: 'Per-connection grants, e.g. `{ "analytics": ["read"] }`. Connections other than the default one are closed to non-admins without one.'
+ *           additionalProperties:
+ *             type: array
+ *             items:
+ *               type: string
+ *               enum: [read, write, delete]
+ *         disabled:
+ *           type: boolean
+ */
+
+/**
+ * Send a users.js error as JSON: its status for validation problems, 500 otherwise
+ */
+const sendUserError = (res, err, action) => {
+    if (err.status) {
+        return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`Error ${action}:`, err.message);
+    res.status(500).json({ error: `Failed ${action}` });
+};
+
+/**
+ * Route: List users.
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: List every user, including disabled ones.
+ *     tags:
+ *       - Users
+ *     responses:
+ *       200:
+ *         description: Users without their password hashes.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User'
+ *       403:
+ *         description: Only admins may manage users.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/', (req, res) => {
+    try {
+        res.status(200).json({ users: listUsers() });
+    } catch (err) {
+        sendUserError(res, err, 'listing users');
+    }
+});
+
+/**
+ * Route: Add a user.
+ * @swagger
+ * /api/users:
+ *   post:
+ *     summary: Add a user.
+ *     description: Passwords need at least `PASSWORD_MIN_LENGTH` (default 10) characters, letters and digits, and must not contain the username.
+ *     tags:
+ *       - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *               - password
+ *             properties:
+ *               username:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [admin, editor, viewer]
+ *                 default: viewer
+ *               tables:
+ *                 type: object
+ *                 nullable: true
+ *               connections:
+ *                 type: object
+ *                 nullable: true
+ *     responses:
+ *       201:
+ *         description: User added.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid username, role, grants or a weak password.
+ *       409:
+ *         description: The username is taken.
+ */
+router.post('/', async (req, res) => {
+    const { username, password, role, tables, connections } = req.body || {};
+
+    try {
+        const user = await createUser({ username, password, role, tables, connections });
+        await recordAuditSafely(req, {
+            action: 'create_user',
+            details: { username, role: user.role, tables: user.tables, connections: user.connections },
+        });
+        res.status(201).json(user);
+    } catch (err) {
+        sendUserError(res, err, 'adding user');
+    }
+});
+
+/**
+ * Route: Change or remove a user.
+ * @swagger
+ * /api/users/{username}:
+ *   patch:
+ *     summary: Change a user's role or table grants, or disable or re-enable the account.
+ *     description: Disabled users cannot log in, their sessions end and their API tokens stop working. You cannot disable or demote yourself.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, editor, viewer]
+ *               tables:
+ *                 type: object
+ *                 nullable: true
+ *               connections:
+ *                 type: object
+ *                 nullable: true
+ *               disabled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: The updated user.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid role or grants.
+ *       404:
+ *         description: No such user.
+ *       409:
+ *         description: The change would lock you out, or leave no enabled admin.
+ *   delete:
+ *     summary: Remove a user.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: User removed.
+ *       404:
+ *         description: No such user.
+ *       409:
+ *         description: You cannot remove yourself or the last enabled admin.
+ */
+router.patch('/:username', async (req, res) => {
+    const { username } = req.params;
+    const { role, tables, connections, disabled } = req.body || {};
+
+    if (username === req.user.username && (disabled === true || (role !== undefined && role !== 'admin'))) {
+        return res.status(409).json({ error: 'You cannot disable or demote your own account.' });
+    }
+
+    try {
+        const user = await updateUser(username, { role, tables, connections, disabled });
+        await recordAuditSafely(req, { action: 'update_user', details: { username, role, tables, connections, disabled } });
+        res.status(200).json(user);
+    } catch (err) {
+        sendUserError(res, err, 'updating user');
+    }
+});
+
+router.delete('/:username', async (req, res) => {
+    const { username } = req.params;
+
+    if (username === req.user.username) {
+        return res.status(409).json({ error: 'You cannot remove your own account.' });
+    }
+
+    try {
+        await removeUser(username);
+        await recordAuditSafely(req, { action: 'delete_user', details: { username } });
+        res.status(204).send();
+    } catch (err) {
+        sendUserError(res, err, 'removing user');
+    }
+});
+
+/**
+ * Route: Reset a user's password.
+ * @swagger
+ * /api/users/{username}/password:
+ *   put:
+ *     summary: Set a new password for a user.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       204:
+ *         description: Password changed.
+ *       400:
+ *         description: The password is too weak.
+ *       404:
+ *         description: No such user.
+ */
+router.put('/:username/password', async (req, res) => {
+    const { username } = req.params;
+
+    try {
+        await resetPassword(username, (req.body || {}).password);
+        await recordAuditSafely(req, { action: 'reset_password', details: { username } });
+        res.status(204).send();
+    } catch (err) {
+        sendUserError(res, err, 'resetting password');
+    }
+});
+
+/**
+ * Route: List or revoke a user's sessions.
+ * @swagger
+ * /api/users/{username}/sessions:
+ *   get:
+ *     summary: List a user's active sessions, most recently used first.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sessions with their IP address, browser, login and last use times.
+ *   delete:
+ *     summary: Sign a user out of every session, e.g. after a password reset.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The number of sessions revoked. API tokens are not affected.
+ */
+router.get('/:username/sessions', async (req, res) => {
+    try {
+        const sessions = await listSessions(req.params.username, req.sessionID);
+        res.status(200).json({ sessions });
+    } catch (err) {
+        sendUserError(res, err, 'fetching sessions');
+    }
+});
+
+router.delete('/:username/sessions', async (req, res) => {
+    const { username } = req.params;
+
+    try {
+        const revoked = await revokeUserSessions(username);
+        await recordAuditSafely(req, { action: 'revoke_sessions', details: { username, revoked } });
+        res.status(200).json({ revoked });
+    } catch (err) {
+        sendUserError(res, err, 'revoking sessions');
+    }
+});
+
+module.exports = router;
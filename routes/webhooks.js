@@ -0,0 +1,481 @@
+const express = require('express');
+const {
+    WEBHOOK_EVENTS,
+    createWebhook,
+    listWebhooks,
+    getWebhook,
+    updateWebhook,
+    deleteWebhook,
+    queuePing,
+    listDeliveries,
+    retryDelivery,
+} = require('../db/webhooks');
+const { getTableColumns } = require('../db/schema');
+const { resolveTarget, parseTableKey } = require('../db/connections');
+const { processDueDeliveries } = require('../utils/webhookDelivery');
+const { recordAuditSafely } = require('../db/audit');
+const { HttpError } = require('../utils/errors');
+const router = express.Router();
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Webhooks
+ *     description: Notify other services of row changes with signed HTTP callbacks (admins only)
+ *
+ * components:
+ *   schemas:
+ *     Webhook:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         table_name:
+ *           type: string
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [insert, upsert, update, delete, soft_delete, restore]
+ *         url:
+ *           type: string
+ *         active:
+ *           type: boolean
+ *         created_by:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * Check that a webhook's table exists. Tables of other schemas and connections are named by
+ * their table key (`staging.leads`, `analytics:events`).
+ */
+const tableExists = async (table) => {
+    if (typeof table !== 'string') return false;
+    const { connection, schema, table: name } = parseTableKey(table);
+    let target;
+    try {
+        target = resolveTarget(connection, schema);
+    } catch (err) {
+        return false;
+    }
+    return (await getTableColumns(name, target)).length > 0;
+};
+
+/**
+ * Validate the fields of a webhook create or update request. `partial` allows omitted fields.
+ */
+const parseWebhook = async ({ table, events, url, secret, active }, partial = false) => {
+    if (!partial || table !== undefined) {
+        if (!(await tableExists(table))) {
+            throw new HttpError(400, `Table ${table} does not exist.`);
+        }
+    }
+    if (events !== undefined && (!Array.isArray(events) || !events.length || events.some(event => !WEBHOOK_EVENTS.includes(event)))) {
+        throw new HttpError(400, `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}.`);
+    }
+    if (!partial || url !== undefined) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (err) {
+            throw new HttpError(400, 'url must be an absolute http(s) URL.');
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw new HttpError(400, 'url must be an absolute http(s) URL.');
+        }
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+        throw new HttpError(400, 'secret must be a string of at least 16 characters.');
+    }
+    if (active !== undefined && typeof active !== 'boolean') {
+        throw new HttpError(400, 'active must be true or false.');
+    }
+    return { table, events: events || (partial ? undefined : WEBHOOK_EVENTS), url, secret, active };
+};
+
+/**
+ * Middleware: Load the webhook named by the `id` path parameter into req.webhook
+ */
+const loadWebhook = async (req, res, next) => {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id)) {
+        return res.status(400).json({ error: 'Invalid webhook id.' });
+    }
+
+    try {
+        req.webhook = await getWebhook(id);
+        if (!req.webhook) {
+            return res.status(404).json({ error: `No webhook with id ${id}.` });
+        }
+        next();
+    } catch (err) {
+        console.error('Error loading webhook:', err.message);
+        res.status(500).json({ error: 'Failed to load webhook' });
+    }
+};
+
+/**
+ * Route: List webhooks.
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: List webhooks, optionally for one table.
+ *     tags:
+ *       - Webhooks
+ *     parameters:
+ *       - in: query
+ *         name: table
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhooks without their secrets.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 webhooks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Webhook'
+ *       403:
+ *         description: Only admins may manage webhooks.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/', async (req, res) => {
+    try {
+        res.status(200).json({ webhooks: await listWebhooks(req.query.table || null) });
+    } catch (err) {
+        console.error('Error listing webhooks:', err.message);
+        res.status(500).json({ error: 'Failed to list webhooks' });
+    }
+});
+
+/**
+ * Route: Create a webhook.
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Subscribe a URL to row changes of a table.
+ *     description: |
+ *       Each matching change is POSTed to `url` as JSON `{ id, event, table, rowId, before, after, username, occurredAt }`
+ *       once the change has committed. The `X-Webhook-Signature` header is `t=<unix time>,v1=<signature>`, where the
+ *       signature is the hex HMAC-SHA256 of `<t>.<raw body>` keyed with the webhook's secret. Any 2xx answer counts
+ *       as delivered; otherwise the delivery is retried with exponential backoff.
+ *       The secret is generated unless given, and only returned in this response.
+ *     tags:
+ *       - Webhooks
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - table
+ *               - url
+ *             properties:
+ *               table:
+ *                 type: string
+ *                 description: Table name, or table key (`staging.leads`, `analytics:events`) for other schemas and connections.
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [insert, upsert, update, delete, soft_delete, restore]
+ *                 description: Defaults to all events.
+ *               url:
+ *                 type: string
+ *               secret:
+ *                 type: string
+ *                 minLength: 16
+ *               active:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: The webhook, including its secret.
+ *       400:
+ *         description: Invalid request payload.
+ *       403:
+ *         description: Only admins may manage webhooks.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/', async (req, res) => {
+    try {
+        const webhook = await createWebhook(req.user.username, await parseWebhook(req.body || {}));
+        recordAuditSafely(req, { action: 'create_webhook', table: webhook.table_name, details: { id: webhook.id, url: webhook.url, events: webhook.events } });
+        res.status(201).json(webhook);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Error creating webhook:', err.message);
+        res.status(500).json({ error: 'Failed to create webhook' });
+    }
+});
+
+/**
+ * Route: Show, change or delete a webhook.
+ * @swagger
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Show a webhook.
+ *     tags:
+ *       - Webhooks
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The webhook, without its secret.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       404:
+ *         description: No such webhook.
+ *   patch:
+ *     summary: Change a webhook's events, url, secret or active flag.
+ *     tags:
+ *       - Webhooks
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               url:
+ *                 type: string
+ *               secret:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: The updated webhook.
+ *       400:
+ *         description: Invalid request payload.
+ *       404:
+ *         description: No such webhook.
+ *   delete:
+ *     summary: Delete a webhook and its delivery log.
+ *     tags:
+ *       - Webhooks
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Webhook deleted.
+ *       404:
+ *         description: No such webhook.
+ */
+router.get('/:id', loadWebhook, (req, res) => {
+    res.status(200).json(req.webhook);
+});
+
+router.patch('/:id', loadWebhook, async (req, res) => {
+    try {
+        const { table, ...changes } = req.body || {};
+        if (table !== undefined) {
+            throw new HttpError(400, 'The table of a webhook cannot be changed; create a new webhook instead.');
+        }
+        const webhook = await updateWebhook(req.webhook.id, await parseWebhook(changes, true));
+        recordAuditSafely(req, {
+            action: 'update_webhook',
+            table: webhook.table_name,
+            details: { id: webhook.id, changed: Object.keys(changes) },
+        });
+        res.status(200).json(webhook);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Error updating webhook:', err.message);
+        res.status(500).json({ error: 'Failed to update webhook' });
+    }
+});
+
+router.delete('/:id', loadWebhook, async (req, res) => {
+    try {
+        await deleteWebhook(req.webhook.id);
+        recordAuditSafely(req, { action: 'delete_webhook', table: req.webhook.table_name, details: { id: req.webhook.id, url: req.webhook.url } });
+        res.status(204).send();
+    } catch (err) {
+        console.error('Error deleting webhook:', err.message);
+        res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+});
+
+/**
+ * Route: Send a test event.
+ * @swagger
+ * /api/webhooks/{id}/ping:
+ *   post:
+ *     summary: Queue a signed `ping` event to check the receiving endpoint.
+ *     tags:
+ *       - Webhooks
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       202:
+ *         description: The ping was queued; its outcome appears in the delivery log.
+ *       404:
+ *         description: No such webhook.
+ */
+router.post('/:id/ping', loadWebhook, async (req, res) => {
+    try {
+        const delivery = await queuePing(req.webhook, req.user.username);
+        processDueDeliveries();
+        res.status(202).json({ deliveryId: delivery.id });
+    } catch (err) {
+        console.error('Error queueing webhook ping:', err.message);
+        res.status(500).json({ error: 'Failed to queue webhook ping' });
+    }
+});
+
+/**
+ * Route: Review a webhook's delivery log.
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: List a webhook's deliveries, newest first, with their status codes and errors.
+ *     tags:
+ *       - Webhooks
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: A page of deliveries with attempts, last status code and last error.
+ *       400:
+ *         description: Invalid filter.
+ *       404:
+ *         description: No such webhook.
+ */
+router.get('/:id/deliveries', loadWebhook, async (req, res) => {
+    const { status, page = 1, limit = 50 } = req.query;
+    const pageNumber = parseInt(page);
+    const pageSize = Math.min(parseInt(limit), 500);
+
+    if (!(pageNumber > 0) || !(pageSize > 0)) {
+        return res.status(400).json({ error: 'page and limit must be positive integers.' });
+    }
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}.` });
+    }
+
+    try {
+        const { totalItems, rows } = await listDeliveries(req.webhook.id, {
+            status,
+            limit: pageSize,
+            offset: (pageNumber - 1) * pageSize,
+        });
+        res.status(200).json({
+            totalItems,
+            currentPage: pageNumber,
+            totalPages: Math.ceil(totalItems / pageSize),
+            data: rows,
+        });
+    } catch (err) {
+        console.error('Error fetching webhook deliveries:', err.message);
+        res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+    }
+});
+
+/**
+ * Route: Retry a failed delivery.
+ * @swagger
+ * /api/webhooks/{id}/deliveries/{deliveryId}/retry:
+ *   post:
+ *     summary: Send a failed delivery again, with a fresh set of attempts.
+ *     tags:
+ *       - Webhooks
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       202:
+ *         description: The delivery was queued again.
+ *       404:
+ *         description: No failed delivery with this id.
+ */
+router.post('/:id/deliveries/:deliveryId/retry', loadWebhook, async (req, res) => {
+    const deliveryId = parseInt(req.params.deliveryId);
+    if (!Number.isInteger(deliveryId)) {
+        return res.status(400).json({ error: 'Invalid delivery id.' });
+    }
+
+    try {
+        const delivery = await retryDelivery(req.webhook.id, deliveryId);
+        if (!delivery) {
+            return res.status(404).json({ error: `No failed delivery with id ${deliveryId}.` });
+        }
+        processDueDeliveries();
+        res.status(202).json(delivery);
+    } catch (err) {
+        console.error('Error retrying webhook delivery:', err.message);
+        res.status(500).json({ error: 'Failed to retry webhook delivery' });
+    }
+});
+
+module.exports = router;
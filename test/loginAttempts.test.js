@@ -0,0 +1,66 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Keep this run's tables apart from the application's, and lock after two failures
+process.env.INTERNAL_SCHEMA = `app_internal_test_${process.pid}`;
+process.env.LOGIN_MAX_FAILURES = '2';
+process.env.LOGIN_MAX_IP_FAILURES = '3';
+require('dotenv').config();
+
+const pool = require('../db/pool');
+const { INTERNAL_SCHEMA, internalTable } = require('../db/internal');
+const { quoteIdent } = require('../utils/queryBuilder');
+const { findLockout, recordLoginFailure, clearLoginFailures } = require('../db/loginAttempts');
+
+const LOCKOUTS_TABLE = internalTable('login_lockouts');
+const IP = '192.0.2.10';
+
+describe('login lockouts', { skip: !process.env.DB_NAME && 'set DB_* (or .env) to run against Postgres' }, () => {
+    // The stored failure count of a username or address, or null when it has none
+    const failures = async (kind, key) => {
+        const result = await pool.query(`SELECT failures FROM ${LOCKOUTS_TABLE} WHERE kind = $1 AND key = $2`, [kind, key]);
+        return result.rows.length ? result.rows[0].failures : null;
+    };
+
+    before(() => findLockout('nobody', IP));
+
+    beforeEach(() => pool.query(`DELETE FROM ${LOCKOUTS_TABLE}`));
+
+    after(async () => {
+        await pool.query(`DROP SCHEMA IF EXISTS ${quoteIdent(INTERNAL_SCHEMA)} CASCADE`);
+        await pool.end();
+    });
+
+    it('locks a username after its failures in a row', async () => {
+        assert.equal(await recordLoginFailure('alice', IP), null);
+        const lockout = await recordLoginFailure('alice', IP);
+
+        assert.equal(lockout.kind, 'username');
+        assert.equal((await findLockout('alice', '192.0.2.99')).kind, 'username');
+        assert.equal(await findLockout('bob', IP), null);
+    });
+
+    it('locks an address after failures for any username', async () => {
+        await recordLoginFailure('alice', IP);
+        await recordLoginFailure('bob', IP);
+        const lockout = await recordLoginFailure('carol', IP);
+
+        assert.equal(lockout.kind, 'ip');
+        assert.equal((await findLockout('dave', IP)).kind, 'ip');
+    });
+
+    it('resets the username and the address on a successful login', async () => {
+        await recordLoginFailure('alice', IP);
+        await recordLoginFailure('bob', IP);
+        assert.equal(await failures('ip', IP), 2);
+
+        await clearLoginFailures('alice', IP);
+
+        assert.equal(await failures('username', 'alice'), null);
+        assert.equal(await failures('ip', IP), null);
+        assert.equal(await failures('username', 'bob'), 1);
+
+        // The address starts counting again, so one more failure does not lock it
+        assert.equal(await recordLoginFailure('carol', IP), null);
+    });
+});
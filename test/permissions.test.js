@@ -0,0 +1,82 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Keep this run's internal tables apart from the application's
+process.env.INTERNAL_SCHEMA = `app_internal_test_${process.pid}`;
+require('dotenv').config();
+
+const pool = require('../db/pool');
+const { INTERNAL_SCHEMA, ensureInternalTable } = require('../db/internal');
+const { quoteIdent } = require('../utils/queryBuilder');
+const { can, authorizeQuery } = require('../utils/permissions');
+
+const SECRET_TABLE = `permissions_test_secret_${process.pid}`;
+const OPEN_TABLE = `permissions_test_open_${process.pid}`;
+const USER_FUNCTION = `permissions_test_read_${process.pid}`;
+
+// A viewer who may only read OPEN_TABLE
+const viewer = { username: 'tester', role: 'viewer', tables: { '*': [], [OPEN_TABLE]: ['read'] } };
+
+describe('can', () => {
+    it('lets a table grant win over "*" and the role', () => {
+        assert.equal(can(viewer, 'read', OPEN_TABLE), true);
+        assert.equal(can(viewer, 'read', SECRET_TABLE), false);
+        assert.equal(can(viewer, 'write', OPEN_TABLE), false);
+    });
+});
+
+describe('authorizeQuery', { skip: !process.env.DB_NAME && 'set DB_* (or .env) to run against Postgres' }, () => {
+    // Resolve to the 403 message a statement is refused with, or null when it is allowed
+    const refusal = (query) => authorizeQuery(viewer, query).then(
+        () => null,
+        (err) => {
+            assert.equal(err.status, 403, err.message);
+            return err.message;
+        }
+    );
+
+    before(async () => {
+        await pool.query(`
+            CREATE TABLE ${quoteIdent(SECRET_TABLE)} (id INTEGER PRIMARY KEY, secret TEXT);
+            CREATE TABLE ${quoteIdent(OPEN_TABLE)} (id INTEGER PRIMARY KEY, name TEXT);
+            CREATE FUNCTION ${quoteIdent(USER_FUNCTION)}() RETURNS BIGINT LANGUAGE sql
+                AS 'SELECT count(*) FROM ${quoteIdent(SECRET_TABLE)}';
+        `);
+        await ensureInternalTable('sessions', 'sid_hash TEXT PRIMARY KEY');
+    });
+
+    after(async () => {
+        await pool.query(`
+            DROP FUNCTION IF EXISTS ${quoteIdent(USER_FUNCTION)}();
+            DROP TABLE IF EXISTS ${quoteIdent(SECRET_TABLE)}, ${quoteIdent(OPEN_TABLE)};
+            DROP SCHEMA IF EXISTS ${quoteIdent(INTERNAL_SCHEMA)} CASCADE;
+        `);
+        await pool.end();
+    });
+
+    it('allows reading granted tables with built-in functions', async () => {
+        assert.equal(await refusal(`SELECT lower(name), count(*), now(), pg_typeof(id) FROM ${OPEN_TABLE} WHERE name LIKE 'x(%' GROUP BY name, id`), null);
+        assert.equal(await refusal('SELECT * FROM generate_series(1, 3)'), null);
+    });
+
+    it('refuses tables without a grant', async () => {
+        assert.match(await refusal(`SELECT * FROM ${SECRET_TABLE}`), /read permission on: permissions_test_secret_/);
+    });
+
+    it('refuses functions that run their own SQL past the plan check', async () => {
+        assert.match(await refusal(`SELECT query_to_xml($$SELECT * FROM ${SECRET_TABLE}$$, true, true, '')`), /query_to_xml/);
+        assert.match(await refusal(`SELECT * FROM pg_catalog.query_to_xml('SELECT 1', true, true, '') AS x`), /query_to_xml/);
+        assert.match(await refusal(`SELECT table_to_xml('${SECRET_TABLE}', true, true, '')`), /table_to_xml/);
+        assert.match(await refusal("SELECT cursor_to_xml('c', 10, true, true, '')"), /cursor_to_xml/);
+        assert.match(
+            await refusal(`SELECT name FROM ${OPEN_TABLE} WHERE query_to_xml('SELECT sid_hash FROM ${INTERNAL_SCHEMA}.sessions', true, true, '') IS NOT NULL`),
+            /query_to_xml/
+        );
+    });
+
+    it('refuses user-defined functions and server-side helpers', async () => {
+        assert.match(await refusal(`SELECT ${USER_FUNCTION}()`), new RegExp(USER_FUNCTION));
+        assert.match(await refusal("SELECT pg_read_file('/etc/passwd')"), /pg_read_file/);
+        assert.match(await refusal("SELECT set_config('app.username', 'someone', true)"), /set_config/);
+    });
+});
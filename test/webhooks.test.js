@@ -0,0 +1,164 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+// Keep this run's tables apart from the application's, and give up on a delivery after two attempts
+process.env.INTERNAL_SCHEMA = `app_internal_test_${process.pid}`;
+process.env.WEBHOOK_MAX_ATTEMPTS = '2';
+require('dotenv').config();
+
+const pool = require('../db/pool');
+const { INTERNAL_SCHEMA, internalTable } = require('../db/internal');
+const { quoteIdent } = require('../utils/queryBuilder');
+const { createWebhook, queueWebhookDeliveries, claimDueDeliveries } = require('../db/webhooks');
+const { MAX_ATTEMPTS, signPayload, backoffSeconds, processDueDeliveries } = require('../utils/webhookDelivery');
+
+const DELIVERIES_TABLE = internalTable('webhook_deliveries');
+
+describe('signPayload', () => {
+    it('signs "<timestamp>.<body>" with HMAC-SHA256 of the secret', () => {
+        const body = JSON.stringify({ event: 'insert' });
+        const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+
+        assert.equal(signPayload('whsec_test', body, 1700000000), `t=1700000000,v1=${expected}`);
+    });
+
+    it('defaults the timestamp to now, in seconds', () => {
+        const timestamp = Number(signPayload('whsec_test', '{}').match(/^t=(\d+),v1=[0-9a-f]{64}$/)[1]);
+        assert.ok(Math.abs(timestamp - Date.now() / 1000) < 5);
+    });
+});
+
+describe('backoffSeconds', () => {
+    it('doubles from 30 seconds and caps at an hour', () => {
+        assert.deepEqual([1, 2, 3, 4, 7, 8, 20].map(backoffSeconds), [30, 60, 120, 240, 1920, 3600, 3600]);
+    });
+});
+
+describe('webhook delivery', { skip: !process.env.DB_NAME && 'set DB_* (or .env) to run against Postgres' }, () => {
+    const requests = [];
+    let replyStatus = 200;
+    let server;
+    let webhook;
+
+    // Queue one insert on the test table and resolve to the id of its delivery
+    const queueInsert = async (rowId) => {
+        await queueWebhookDeliveries(
+            { user: { username: 'tester' } },
+            { action: 'insert', table: 'webhook_test', rowId, after: { id: rowId } }
+        );
+        const result = await pool.query(`SELECT max(id) AS id FROM ${DELIVERIES_TABLE}`);
+        return result.rows[0].id;
+    };
+
+    const getDelivery = async (id) => (await pool.query(`SELECT * FROM ${DELIVERIES_TABLE} WHERE id = $1`, [id])).rows[0];
+
+    // Make a delivery due now, as if its backoff or lease had run out
+    const makeDue = (id) => pool.query(`UPDATE ${DELIVERIES_TABLE} SET next_attempt_at = now() WHERE id = $1`, [id]);
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => (body += chunk));
+            req.on('end', () => {
+                requests.push({ headers: req.headers, body });
+                res.writeHead(replyStatus, { 'Content-Type': 'text/plain' });
+                res.end(replyStatus < 300 ? 'ok' : 'receiver unavailable');
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        webhook = await createWebhook('tester', {
+            table: 'webhook_test',
+            events: ['insert'],
+            url: `http://127.0.0.1:${server.address().port}/hook`,
+        });
+    });
+
+    after(async () => {
+        server.close();
+        await pool.query(`DROP SCHEMA IF EXISTS ${quoteIdent(INTERNAL_SCHEMA)} CASCADE`);
+        await pool.end();
+    });
+
+    beforeEach(() => {
+        requests.length = 0;
+        replyStatus = 200;
+    });
+
+    it('posts the change with a signature the receiver can verify', async () => {
+        const id = await queueInsert(1);
+        await processDueDeliveries();
+
+        assert.equal(requests.length, 1);
+        const { headers, body } = requests[0];
+        assert.equal(headers['x-webhook-event'], 'insert');
+        assert.equal(headers['x-webhook-id'], String(id));
+
+        const [, timestamp, signature] = headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+        const expected = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+        assert.equal(signature, expected);
+        assert.deepEqual(JSON.parse(body), {
+            id: Number(id),
+            event: 'insert',
+            table: 'webhook_test',
+            rowId: '1',
+            before: null,
+            after: { id: 1 },
+            username: 'tester',
+            occurredAt: JSON.parse(body).occurredAt,
+        });
+
+        const delivery = await getDelivery(id);
+        assert.equal(delivery.status, 'succeeded');
+        assert.equal(delivery.attempts, 1);
+        assert.equal(delivery.last_status_code, 200);
+        assert.ok(delivery.delivered_at);
+    });
+
+    it('retries a non-2xx reply with backoff, then gives up after MAX_ATTEMPTS', async () => {
+        replyStatus = 503;
+        const id = await queueInsert(2);
+        await processDueDeliveries();
+
+        let delivery = await getDelivery(id);
+        assert.equal(delivery.status, 'pending');
+        assert.equal(delivery.attempts, 1);
+        assert.equal(delivery.last_status_code, 503);
+        assert.match(delivery.last_error, /^HTTP 503: receiver unavailable/);
+        const retryIn = (delivery.next_attempt_at - delivery.last_attempt_at) / 1000;
+        assert.ok(Math.abs(retryIn - backoffSeconds(1)) < 5, `retry in ${retryIn}s`);
+
+        // Not due yet: nothing is sent
+        await processDueDeliveries();
+        assert.equal(requests.length, 1);
+
+        await makeDue(id);
+        await processDueDeliveries();
+
+        delivery = await getDelivery(id);
+        assert.equal(MAX_ATTEMPTS, 2);
+        assert.equal(requests.length, 2);
+        assert.equal(delivery.status, 'failed');
+        assert.equal(delivery.attempts, 2);
+    });
+
+    it('leases claimed deliveries and re-claims them once the lease runs out', async () => {
+        const id = await queueInsert(3);
+
+        const claimed = await claimDueDeliveries(10);
+        assert.deepEqual(claimed.map(delivery => delivery.id), [id]);
+        assert.equal(claimed[0].url, webhook.url);
+        assert.equal(claimed[0].secret, webhook.secret);
+        assert.equal(claimed[0].attempts, 1);
+
+        // The sender died before recording the outcome: no one else may send it during the lease
+        assert.deepEqual(await claimDueDeliveries(10), []);
+
+        await makeDue(id);
+        const reclaimed = await claimDueDeliveries(10);
+        assert.deepEqual(reclaimed.map(delivery => delivery.id), [id]);
+        assert.equal(reclaimed[0].attempts, 2);
+    });
+});
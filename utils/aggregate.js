@@ -0,0 +1,110 @@
+const { HttpError } = require('./errors');
+const { quoteIdent, splitList, parseSort, buildOrderByClause } = require('./queryBuilder');
+
+// Aggregate functions accepted as `fn(column)`; `count` alone counts rows
+const AGGREGATE_FUNCTIONS = ['count', 'sum', 'avg', 'min', 'max'];
+
+// date_trunc precisions accepted as `column:interval` in groupBy
+const INTERVALS = ['minute', 'hour', 'day', 'week', 'month', 'quarter', 'year'];
+
+// Column types that sum and avg accept
+const NUMERIC_TYPES = ['smallint', 'integer', 'bigint', 'numeric', 'real', 'double precision', 'money', 'interval'];
+
+const isTimestampType = (type) => type.startsWith('timestamp') || type === 'date';
+
+/**
+ * Find a column of the table by name, throwing a 400 otherwise.
+ */
+const findColumn = (columns, name) => {
+    const column = columns.find(col => col.column_name === name);
+    if (!column) {
+        throw new HttpError(400, `Invalid column name: ${name}`);
+    }
+    return column;
+};
+
+/**
+ * Parse `groupBy=status,created_at:month` into output columns. A plain column groups on its
+ * values and keeps its name; `column:interval` groups a timestamp or date column into
+ * date_trunc buckets named `column_interval`.
+ */
+const parseGroupBy = (groupBy, columns) =>
+    (groupBy ? splitList(groupBy) : []).map(entry => {
+        const [name, interval] = entry.split(':');
+        const column = findColumn(columns, name);
+
+        if (interval === undefined) {
+            return { alias: name, expression: quoteIdent(name) };
+        }
+        if (!INTERVALS.includes(interval)) {
+            throw new HttpError(400, `Invalid interval: ${interval}. Use one of: ${INTERVALS.join(', ')}.`);
+        }
+        if (!isTimestampType(column.data_type)) {
+            throw new HttpError(400, `Column ${name} is ${column.data_type}; only timestamp and date columns can be bucketed.`);
+        }
+        return { alias: `${name}_${interval}`, expression: `date_trunc('${interval}', ${quoteIdent(name)})` };
+    });
+
+/**
+ * Parse `aggregates=count,sum(total),max(created_at)` into output columns named `count`,
+ * `sum_total` and `max_created_at`. Defaults to `count`.
+ */
+const parseAggregates = (aggregates, columns) => {
+    const entries = aggregates ? splitList(aggregates) : [];
+
+    return (entries.length ? entries : ['count']).map(entry => {
+        const match = entry.match(/^([a-z]+)(?:\((.+)\))?$/i);
+        const fn = match && match[1].toLowerCase();
+        if (!fn || !AGGREGATE_FUNCTIONS.includes(fn)) {
+            throw new HttpError(400, `Invalid aggregate: ${entry}. Use count or ${AGGREGATE_FUNCTIONS.join('/')}(column).`);
+        }
+
+        const name = match[2] && match[2].trim();
+        if (!name) {
+            if (fn !== 'count') {
+                throw new HttpError(400, `Aggregate ${fn} needs a column, e.g. ${fn}(column).`);
+            }
+            return { alias: 'count', expression: 'count(*)' };
+        }
+
+        const column = findColumn(columns, name);
+        if (['sum', 'avg'].includes(fn) && !NUMERIC_TYPES.includes(column.data_type)) {
+            throw new HttpError(400, `Cannot ${fn} column ${name} of type ${column.data_type}.`);
+        }
+        return { alias: `${fn}_${name}`, expression: `${fn}(${quoteIdent(name)})` };
+    });
+};
+
+/**
+ * Build a grouped aggregate query over a table (`relation`, quoted for SQL) from `groupBy`,
+ * `aggregates` and `sort` (which names output columns, and defaults to the group columns),
+ * filtered by an already built WHERE clause. One row more than `limit` is selected, to detect
+ * truncated results.
+ */
+const buildAggregateQuery = (relation, columns, { groupBy, aggregates, sort }, where, limit) => {
+    const groups = parseGroupBy(groupBy, columns);
+    const metrics = parseAggregates(aggregates, columns);
+    const outputs = [...groups, ...metrics];
+
+    const aliases = outputs.map(({ alias }) => alias);
+    const duplicate = aliases.find((alias, i) => aliases.indexOf(alias) !== i);
+    if (duplicate) {
+        throw new HttpError(400, `${duplicate} is requested more than once.`);
+    }
+
+    const ordering = sort
+        ? parseSort(sort, aliases)
+        : groups.map(({ alias }) => ({ column: alias, descending: false }));
+    const groupClause = groups.length ? `GROUP BY ${groups.map((_, i) => i + 1).join(', ')}` : '';
+
+    return {
+        text: `SELECT ${outputs.map(({ alias, expression }) => `${expression} AS ${quoteIdent(alias)}`).join(', ')}
+               FROM ${relation} ${where.clause} ${groupClause} ${buildOrderByClause(ordering)}
+               LIMIT $${where.values.length + 1}`,
+        values: [...where.values, limit + 1],
+        groupBy: groups.map(({ alias }) => alias),
+        aggregates: metrics.map(({ alias }) => alias),
+    };
+};
+
+module.exports = { buildAggregateQuery };
@@ -0,0 +1,349 @@
+const { escapeLiteral } = require('pg');
+const pool = require('../db/pool');
+const { HttpError } = require('./errors');
+const { quoteIdent } = require('./queryBuilder');
+
+// Column types that may be used in table definitions, with the aliases accepted for them
+const COLUMN_TYPES = [
+    'smallint', 'integer', 'bigint', 'serial', 'bigserial', 'numeric', 'real', 'double precision',
+    'boolean', 'text', 'varchar', 'char', 'date', 'time', 'timestamp', 'timestamptz',
+    'uuid', 'json', 'jsonb', 'bytea',
+];
+const TYPE_ALIASES = {
+    int: 'integer',
+    int4: 'integer',
+    int8: 'bigint',
+    int2: 'smallint',
+    decimal: 'numeric',
+    float: 'double precision',
+    float8: 'double precision',
+    bool: 'boolean',
+    'character varying': 'varchar',
+    character: 'char',
+    'timestamp without time zone': 'timestamp',
+    'timestamp with time zone': 'timestamptz',
+};
+
+// SQL functions allowed as column defaults (`defaultFunction`), besides literal `default` values
+const DEFAULT_FUNCTIONS = {
+    now: 'now()',
+    current_timestamp: 'CURRENT_TIMESTAMP',
+    current_date: 'CURRENT_DATE',
+    gen_random_uuid: 'gen_random_uuid()',
+};
+
+const REFERENTIAL_ACTIONS = ['NO ACTION', 'RESTRICT', 'CASCADE', 'SET NULL', 'SET DEFAULT'];
+const INDEX_METHODS = ['btree', 'hash', 'gin', 'gist', 'brin'];
+
+// Postgres truncates identifiers longer than this many bytes
+const MAX_IDENTIFIER_BYTES = 63;
+
+/**
+ * Validate a table, column, index or constraint name. Names are always quoted, so any
+ * characters are allowed; they only need to be non-empty and short enough not to be truncated.
+ */
+const identifier = (name, what) => {
+    if (typeof name !== 'string' || !name.trim()) {
+        throw new HttpError(400, `${what} name is required.`);
+    }
+    if (Buffer.byteLength(name) > MAX_IDENTIFIER_BYTES) {
+        throw new HttpError(400, `${what} name is longer than ${MAX_IDENTIFIER_BYTES} bytes: ${name}`);
+    }
+    return quoteIdent(name);
+};
+
+const identifierList = (names, what) => {
+    if (!Array.isArray(names) || !names.length) {
+        throw new HttpError(400, `${what} must be a non-empty array of column names.`);
+    }
+    return names.map(name => identifier(name, 'Column')).join(', ');
+};
+
+const positiveInteger = (value, what) => {
+    if (value === undefined || value === null) return null;
+    if (!Number.isInteger(Number(value)) || Number(value) < 0) {
+        throw new HttpError(400, `${what} must be a non-negative integer.`);
+    }
+    return Number(value);
+};
+
+/**
+ * Build a column type from an allow-listed name, e.g. `{ type: 'varchar', length: 100 }`,
+ * `{ type: 'numeric', precision: 10, scale: 2 }` or the shorthand `{ type: 'varchar(100)' }`.
+ * `array: true` (or a `[]` suffix) makes it an array of that type.
+ */
+const buildColumnType = (spec) => {
+    const match = String(spec.type || '').trim().toLowerCase()
+        .match(/^([a-z0-9 ]+?)\s*(?:\(\s*(\d+)\s*(?:,\s*(\d+)\s*)?\))?\s*(\[\])?$/);
+    const name = match && (TYPE_ALIASES[match[1]] || match[1]);
+
+    if (!name || !COLUMN_TYPES.includes(name)) {
+        throw new HttpError(400, `Unsupported column type: ${spec.type}. Use one of: ${COLUMN_TYPES.join(', ')}.`);
+    }
+
+    const isArray = Boolean(spec.array || match[4]);
+    const first = positiveInteger(spec.length !== undefined ? spec.length : (spec.precision !== undefined ? spec.precision : match[2]), 'Length/precision');
+    const scale = positiveInteger(spec.scale !== undefined ? spec.scale : match[3], 'Scale');
+    let type = name;
+
+    if (name === 'varchar' || name === 'char') {
+        if (first === 0) throw new HttpError(400, 'Length must be at least 1.');
+        if (first) type += `(${first})`;
+    } else if (name === 'numeric') {
+        if (scale !== null && !first) throw new HttpError(400, 'A numeric scale requires a precision.');
+        if (first && (first > 1000 || (scale !== null && scale > first))) {
+            throw new HttpError(400, 'Numeric precision must be 1-1000 and scale at most the precision.');
+        }
+        if (first) type += scale !== null ? `(${first}, ${scale})` : `(${first})`;
+    } else if (first !== null || scale !== null) {
+        throw new HttpError(400, `Type ${name} does not take a length or precision.`);
+    }
+
+    if (isArray && (name === 'serial' || name === 'bigserial')) {
+        throw new HttpError(400, `Type ${name} cannot be used as an array.`);
+    }
+    return isArray ? `${type}[]` : type;
+};
+
+/**
+ * Build a DEFAULT expression from a literal `default` value or an allow-listed `defaultFunction`.
+ */
+const buildDefault = (spec) => {
+    if (spec.defaultFunction !== undefined) {
+        const expression = DEFAULT_FUNCTIONS[String(spec.defaultFunction).toLowerCase()];
+        if (!expression) {
+            throw new HttpError(400, `Unsupported defaultFunction: ${spec.defaultFunction}. Use one of: ${Object.keys(DEFAULT_FUNCTIONS).join(', ')}.`);
+        }
+        return expression;
+    }
+
+    const value = spec.default;
+    if (value === null) return 'NULL';
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    if (typeof value === 'number' && Number.isFinite(value)) return escapeLiteral(String(value));
+    if (typeof value === 'string') return escapeLiteral(value);
+    if (typeof value === 'object') return escapeLiteral(JSON.stringify(value));
+    throw new HttpError(400, `Invalid default value: ${value}`);
+};
+
+const referentialAction = (action, what) => {
+    const normalized = String(action).toUpperCase().replace(/_/g, ' ');
+    if (!REFERENTIAL_ACTIONS.includes(normalized)) {
+        throw new HttpError(400, `Invalid ${what}: ${action}. Use one of: ${REFERENTIAL_ACTIONS.join(', ')}.`);
+    }
+    return normalized;
+};
+
+/**
+ * Build a REFERENCES clause from `{ table, columns, onDelete, onUpdate }`.
+ */
+const buildReferences = (references) => {
+    if (!references || typeof references !== 'object') {
+        throw new HttpError(400, 'references must be an object with table and columns.');
+    }
+    const columns = references.columns || (references.column ? [references.column] : null);
+    let clause = `REFERENCES ${identifier(references.table, 'Referenced table')}`;
+    if (columns) clause += ` (${identifierList(columns, 'references.columns')})`;
+    if (references.onDelete) clause += ` ON DELETE ${referentialAction(references.onDelete, 'onDelete')}`;
+    if (references.onUpdate) clause += ` ON UPDATE ${referentialAction(references.onUpdate, 'onUpdate')}`;
+    return clause;
+};
+
+/**
+ * Build a column definition:
+ * `{ name, type, length, precision, scale, array, nullable, default, defaultFunction, unique, primaryKey, references }`.
+ * Columns are nullable unless `nullable: false`.
+ */
+const buildColumnDefinition = (column) => {
+    if (!column || typeof column !== 'object') {
+        throw new HttpError(400, 'Each column must be an object with at least a name and type.');
+    }
+
+    const parts = [identifier(column.name, 'Column'), buildColumnType(column)];
+    if (column.nullable === false) parts.push('NOT NULL');
+    if (column.default !== undefined || column.defaultFunction !== undefined) parts.push(`DEFAULT ${buildDefault(column)}`);
+    if (column.unique) parts.push('UNIQUE');
+    if (column.primaryKey) parts.push('PRIMARY KEY');
+    if (column.references) parts.push(buildReferences(column.references));
+    return parts.join(' ');
+};
+
+const constraintName = (name) => (name ? `CONSTRAINT ${identifier(name, 'Constraint')} ` : '');
+
+/**
+ * Statement builders for each supported operation, keyed by `op`. Each returns a list of SQL statements.
+ */
+const OPERATIONS = {
+    // Tables without a primary key get an `id SERIAL PRIMARY KEY` column, as the CRUD routes expect one
+    create_table: (operation) => {
+        const { columns, primaryKey } = operation;
+        if (!Array.isArray(columns) || !columns.length) {
+            throw new HttpError(400, 'create_table needs a non-empty columns array.');
+        }
+
+        const definitions = columns.map(buildColumnDefinition);
+        if (primaryKey) {
+            definitions.push(`PRIMARY KEY (${identifierList(primaryKey, 'primaryKey')})`);
+        } else if (!columns.some(column => column.primaryKey)) {
+            definitions.unshift(`${quoteIdent('id')} serial PRIMARY KEY`);
+        }
+        return [`CREATE TABLE ${identifier(operation.table, 'Table')} (\n    ${definitions.join(',\n    ')}\n)`];
+    },
+
+    drop_table: ({ table, cascade }) => [`DROP TABLE ${identifier(table, 'Table')}${cascade ? ' CASCADE' : ''}`],
+
+    rename_table: ({ table, newName }) => [
+        `ALTER TABLE ${identifier(table, 'Table')} RENAME TO ${identifier(newName, 'New table')}`,
+    ],
+
+    add_column: ({ table, column }) => [
+        `ALTER TABLE ${identifier(table, 'Table')} ADD COLUMN ${buildColumnDefinition(column)}`,
+    ],
+
+    drop_column: ({ table, column, cascade }) => [
+        `ALTER TABLE ${identifier(table, 'Table')} DROP COLUMN ${identifier(column, 'Column')}${cascade ? ' CASCADE' : ''}`,
+    ],
+
+    rename_column: ({ table, column, newName }) => [
+        `ALTER TABLE ${identifier(table, 'Table')} RENAME COLUMN ${identifier(column, 'Column')} TO ${identifier(newName, 'New column')}`,
+    ],
+
+    // Change a column's type (converting existing values with a cast), nullability and/or default
+    alter_column: (operation) => {
+        const table = identifier(operation.table, 'Table');
+        const column = identifier(operation.column, 'Column');
+        const changes = [];
+
+        if (operation.type !== undefined) {
+            const type = buildColumnType(operation);
+            changes.push(`ALTER COLUMN ${column} TYPE ${type} USING ${column}::${type}`);
+        }
+        if (operation.nullable !== undefined) {
+            changes.push(`ALTER COLUMN ${column} ${operation.nullable ? 'DROP' : 'SET'} NOT NULL`);
+        }
+        if (operation.dropDefault) {
+            changes.push(`ALTER COLUMN ${column} DROP DEFAULT`);
+        } else if (operation.default !== undefined || operation.defaultFunction !== undefined) {
+            changes.push(`ALTER COLUMN ${column} SET DEFAULT ${buildDefault(operation)}`);
+        }
+
+        if (!changes.length) {
+            throw new HttpError(400, 'alter_column needs at least one of type, nullable, default, defaultFunction or dropDefault.');
+        }
+        return [`ALTER TABLE ${table} ${changes.join(', ')}`];
+    },
+
+    add_index: ({ table, columns, unique, name, method }) => {
+        if (method && !INDEX_METHODS.includes(method)) {
+            throw new HttpError(400, `Invalid index method: ${method}. Use one of: ${INDEX_METHODS.join(', ')}.`);
+        }
+        return [
+            `CREATE ${unique ? 'UNIQUE ' : ''}INDEX ${name ? `${identifier(name, 'Index')} ` : ''}ON ${identifier(table, 'Table')}`
+            + `${method ? ` USING ${method}` : ''} (${identifierList(columns, 'columns')})`,
+        ];
+    },
+
+    drop_index: ({ index }) => [`DROP INDEX ${identifier(index, 'Index')}`],
+
+    add_unique: ({ table, columns, name }) => [
+        `ALTER TABLE ${identifier(table, 'Table')} ADD ${constraintName(name)}UNIQUE (${identifierList(columns, 'columns')})`,
+    ],
+
+    add_foreign_key: ({ table, columns, references, name }) => [
+        `ALTER TABLE ${identifier(table, 'Table')} ADD ${constraintName(name)}FOREIGN KEY (${identifierList(columns, 'columns')}) ${buildReferences(references)}`,
+    ],
+
+    drop_constraint: ({ table, constraint }) => [
+        `ALTER TABLE ${identifier(table, 'Table')} DROP CONSTRAINT ${identifier(constraint, 'Constraint')}`,
+    ],
+};
+
+/**
+ * Statements undoing an operation, for the down section of an emitted migration. Operations that
+ * lose data or whose previous state is unknown (drops, type changes, unnamed indexes) have none.
+ */
+const INVERSE_OPERATIONS = {
+    create_table: ({ table }) => OPERATIONS.drop_table({ table }),
+    rename_table: ({ table, newName }) => OPERATIONS.rename_table({ table: newName, newName: table }),
+    add_column: ({ table, column }) => OPERATIONS.drop_column({ table, column: column.name }),
+    rename_column: ({ table, column, newName }) => OPERATIONS.rename_column({ table, column: newName, newName: column }),
+    add_index: ({ name }) => (name ? OPERATIONS.drop_index({ index: name }) : null),
+    add_unique: ({ table, name }) => (name ? OPERATIONS.drop_constraint({ table, constraint: name }) : null),
+    add_foreign_key: ({ table, name }) => (name ? OPERATIONS.drop_constraint({ table, constraint: name }) : null),
+};
+
+/**
+ * Turn a list of operations into SQL statements, validating each one.
+ * Returns `[{ index, op, table, statement }]`; a 400 names the operation that failed.
+ */
+const buildDdl = (operations) => {
+    if (!Array.isArray(operations) || !operations.length) {
+        throw new HttpError(400, 'operations must be a non-empty array.');
+    }
+
+    return operations.flatMap((operation, index) => {
+        const build = operation && OPERATIONS[operation.op];
+        if (!build) {
+            throw new HttpError(400, `Operation ${index}: unknown op ${operation && operation.op}. Use one of: ${Object.keys(OPERATIONS).join(', ')}.`);
+        }
+        try {
+            return build(operation).map(statement => ({ index, op: operation.op, table: operation.table || null, statement }));
+        } catch (err) {
+            if (err.status) err.message = `Operation ${index} (${operation.op}): ${err.message}`;
+            throw err;
+        }
+    });
+};
+
+/**
+ * Build the statements that undo a (validated) list of operations, in reverse order.
+ * Returns `{ statements, irreversible }`, where `irreversible` names the operations that
+ * cannot be undone automatically; when there are any, no statements are returned.
+ */
+const buildRollback = (operations) => {
+    const irreversible = [];
+    const statements = operations
+        .map((operation, index) => {
+            const inverse = INVERSE_OPERATIONS[operation.op] && INVERSE_OPERATIONS[operation.op](operation);
+            if (!inverse) irreversible.push(`operation ${index} (${operation.op})`);
+            return inverse || [];
+        })
+        .reverse()
+        .flat();
+
+    return irreversible.length ? { statements: [], irreversible } : { statements, irreversible };
+};
+
+/**
+ * Run the statements of a `buildDdl` result in one transaction. `beforeCommit(client)` runs
+ * inside the transaction after the statements (e.g. to write audit entries). With `dryRun`
+ * the transaction is always rolled back, so the DDL is fully checked by Postgres without
+ * changing anything.
+ */
+const runDdl = async (statements, { dryRun = false, beforeCommit } = {}) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+        for (const { index, op, statement } of statements) {
+            try {
+                await client.query(statement);
+            } catch (err) {
+                throw new HttpError(400, `Operation ${index} (${op}) failed, nothing was changed: ${err.message}`);
+            }
+        }
+        if (dryRun) {
+            await client.query('ROLLBACK');
+        } else {
+            if (beforeCommit) await beforeCommit(client);
+            await client.query('COMMIT');
+        }
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = { buildDdl, buildRollback, runDdl };
@@ -0,0 +1,13 @@
+/**
+ * Error carrying the HTTP status code that should be sent to the client.
+ * Thrown by helpers so route handlers can map validation problems to 4xx responses.
+ */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+module.exports = { HttpError };
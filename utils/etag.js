@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+
+/**
+ * Strong entity tag for a row: a hash of its JSON form, so it changes whenever any
+ * column value does, whichever client or statement changed it.
+ */
+const rowEtag = (row) =>
+    `"${crypto.createHash('sha1').update(JSON.stringify(row)).digest('base64url')}"`;
+
+/**
+ * Reject a write whose If-Match header no longer matches the row (412 Precondition Failed).
+ * Writes without the header go ahead unconditionally.
+ */
+const assertIfMatch = (req, row) => {
+    const header = req.get('If-Match');
+    if (!header || header.trim() === '*') return;
+
+    // Weak tags never match in If-Match (RFC 9110 13.1.1)
+    const etag = rowEtag(row);
+    const matches = header.split(',').some(tag => tag.trim() === etag);
+    if (!matches) {
+        const err = new HttpError(412, 'The row was changed since you fetched it; review the current version and retry.');
+        err.current = row;
+        throw err;
+    }
+};
+
+/**
+ * Send an HttpError, including the current row and its ETag for a failed precondition.
+ */
+const sendHttpError = (res, err) => {
+    if (err.current) {
+        return res.status(err.status).set('ETag', rowEtag(err.current)).json({ error: err.message, current: err.current });
+    }
+    return res.status(err.status).json({ error: err.message });
+};
+
+module.exports = { rowEtag, assertIfMatch, sendHttpError };
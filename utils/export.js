@@ -0,0 +1,115 @@
+const { Transform, pipeline } = require('stream');
+const QueryStream = require('pg-query-stream');
+const { Transform: CsvTransform } = require('json2csv');
+const pool = require('../db/pool');
+const { setSearchPath } = require('../db/connections');
+const { HttpError } = require('./errors');
+
+// Rows fetched from the Postgres cursor per round trip
+const EXPORT_BATCH_SIZE = parseInt(process.env.EXPORT_BATCH_SIZE) || 1000;
+
+/**
+ * Supported export formats. `excel` is CSV with a UTF-8 byte order mark and
+ * CRLF line endings so Excel opens non-ASCII text and line breaks correctly.
+ */
+const FORMATS = {
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    excel: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    ndjson: { extension: 'ndjson', contentType: 'application/x-ndjson; charset=utf-8' },
+    json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+};
+
+/**
+ * Validate an export format, defaulting to CSV.
+ */
+const parseFormat = (format = 'csv') => {
+    const normalized = String(format).toLowerCase();
+    if (!FORMATS[normalized]) {
+        throw new HttpError(400, `Invalid export format: ${format}. Use one of: ${Object.keys(FORMATS).join(', ')}.`);
+    }
+    return normalized;
+};
+
+/**
+ * Create a transform stream turning row objects into the serialized export format.
+ */
+const createSerializer = (format, fields) => {
+    if (format === 'csv' || format === 'excel') {
+        const opts = format === 'excel' ? { fields, withBOM: true, eol: '\r\n' } : { fields, eol: '\n' };
+        return new CsvTransform(opts, { objectMode: true });
+    }
+
+    if (format === 'ndjson') {
+        return new Transform({
+            writableObjectMode: true,
+            transform(row, encoding, done) {
+                done(null, `${JSON.stringify(row)}\n`);
+            },
+        });
+    }
+
+    let first = true;
+    return new Transform({
+        writableObjectMode: true,
+        transform(row, encoding, done) {
+            done(null, `${first ? '[\n' : ',\n'}${JSON.stringify(row)}`);
+            first = false;
+        },
+        flush(done) {
+            done(null, first ? '[]\n' : '\n]\n');
+        },
+    });
+};
+
+/**
+ * Stream the results of a query to the response through a server-side cursor,
+ * so memory use stays flat regardless of the number of rows.
+ * With `readOnly`, the query runs inside a READ ONLY transaction, where `schema` sets the
+ * search_path for unqualified table names. `db` is the pool of the connection to query.
+ *
+ * Errors raised before any data is sent are returned as JSON; later errors abort the response.
+ */
+const streamQueryToResponse = async (res, { text, values = [], format = 'csv', filename = 'export', fields, readOnly = false, db = pool, schema = null }) => {
+    const { extension, contentType } = FORMATS[format];
+    const client = await db.connect();
+    if (readOnly) {
+        try {
+            await client.query('BEGIN READ ONLY');
+            if (schema) {
+                await setSearchPath(client, schema);
+            }
+        } catch (err) {
+            client.release(err);
+            throw err;
+        }
+    }
+    const source = client.query(new QueryStream(text, values, { batchSize: EXPORT_BATCH_SIZE }));
+
+    const output = pipeline(source, createSerializer(format, fields), async (err) => {
+        if (readOnly && !err) {
+            err = await client.query('COMMIT').then(() => null, commitErr => commitErr);
+        }
+        client.release(err);
+        if (!err) return;
+
+        console.error('Error streaming export:', err.message);
+        if (!res.headersSent) {
+            res.removeHeader('Content-Disposition');
+            res.removeHeader('Content-Type');
+            res.status(400).json({ error: `Error exporting data: ${err.message}` });
+        } else {
+            res.destroy(err);
+        }
+    });
+
+    // Stop reading from the cursor if the client goes away mid-download
+    res.on('close', () => {
+        if (!res.writableFinished) output.destroy();
+    });
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/[^\w.-]/g, '_')}.${extension}"`);
+    output.pipe(res);
+};
+
+module.exports = { FORMATS, parseFormat, streamQueryToResponse };
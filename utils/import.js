@@ -0,0 +1,319 @@
+const path = require('path');
+const { parse: parseCsv } = require('csv-parse/sync');
+const pool = require('../db/pool');
+const { qualifiedTable } = require('../db/connections');
+const { HttpError } = require('./errors');
+const { quoteIdent } = require('./queryBuilder');
+
+// Largest number of row errors returned in a report; the counts always cover every row
+const MAX_REPORTED_ERRORS = 100;
+
+// Postgres allows at most 65535 bind parameters per statement
+const MAX_BIND_PARAMS = 60000;
+const MAX_BATCH_ROWS = 1000;
+
+const INTEGER_TYPES = ['smallint', 'integer', 'bigint'];
+const NUMERIC_TYPES = ['numeric', 'real', 'double precision'];
+const DATE_TYPES = ['date', 'timestamp without time zone', 'timestamp with time zone'];
+const TEXT_TYPES = ['text', 'character varying', 'character'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TRUE_VALUES = ['true', 't', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'f', 'no', 'n', '0'];
+
+/**
+ * Whether Postgres fills the column when it is omitted (a default or an identity column).
+ */
+const hasDefault = (column) => column.column_default !== null || column.is_identity === 'YES';
+
+/**
+ * Work out whether an uploaded file is CSV or JSON from an explicit format or its extension.
+ */
+const detectFormat = (file, format) => {
+    const detected = (format || path.extname(file.originalname).slice(1) || '').toLowerCase();
+    if (!['csv', 'json'].includes(detected)) {
+        throw new HttpError(400, 'Unsupported file format. Upload a .csv or .json file, or pass format=csv|json.');
+    }
+    return detected;
+};
+
+/**
+ * Parse an uploaded CSV (with a header row) or JSON (array of objects) file
+ * into `{ fileColumns, rows }`.
+ */
+const parseImportFile = (file, format) => {
+    const content = file.buffer.toString('utf8');
+    let rows;
+
+    try {
+        rows = format === 'csv'
+            ? parseCsv(content, { columns: true, bom: true, skip_empty_lines: true, trim: true })
+            : JSON.parse(content.replace(/^\uFEFF/, ''));
+    } catch (err) {
+        throw new HttpError(400, `Could not parse ${format.toUpperCase()} file: ${err.message}`);
+    }
+
+    if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+        throw new HttpError(400, 'JSON imports must contain an array of objects.');
+    }
+
+    const fileColumns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    return { fileColumns, rows };
+};
+
+/**
+ * Resolve the file column -> table column mapping.
+ *
+ * Without an explicit mapping, file columns are matched to table columns of the same name.
+ * A mapping value of null (or an omitted file column) skips that column.
+ */
+const resolveMapping = (fileColumns, tableColumns, requested) => {
+    let mapping = requested;
+
+    if (typeof mapping === 'string' && mapping.trim()) {
+        try {
+            mapping = JSON.parse(mapping);
+        } catch (err) {
+            throw new HttpError(400, 'mapping must be a JSON object of file column to table column.');
+        }
+    }
+
+    const columnNames = tableColumns.map(col => col.column_name);
+    if (!mapping || typeof mapping !== 'object' || !Object.keys(mapping).length) {
+        return Object.fromEntries(fileColumns.map(col => [col, columnNames.includes(col) ? col : null]));
+    }
+
+    const resolved = {};
+    Object.entries(mapping).forEach(([fileColumn, tableColumn]) => {
+        if (!fileColumns.includes(fileColumn)) {
+            throw new HttpError(400, `Mapped file column not found in upload: ${fileColumn}`);
+        }
+        if (tableColumn && !columnNames.includes(tableColumn)) {
+            throw new HttpError(400, `Invalid column name: ${tableColumn}`);
+        }
+        resolved[fileColumn] = tableColumn || null;
+    });
+
+    const targets = Object.values(resolved).filter(Boolean);
+    const duplicate = targets.find((col, i) => targets.indexOf(col) !== i);
+    if (duplicate) {
+        throw new HttpError(400, `Table column ${duplicate} is mapped from more than one file column.`);
+    }
+    return resolved;
+};
+
+/**
+ * Convert a file value to what Postgres expects for the column's data type.
+ * Returns `{ value }` on success or `{ error }` describing why the value is invalid.
+ */
+const coerceValue = (raw, column) => {
+    const type = column.data_type;
+    const isText = TEXT_TYPES.includes(type);
+
+    if (raw === undefined || raw === null || (raw === '' && !isText)) {
+        return { value: null };
+    }
+    if (typeof raw === 'object' && !['json', 'jsonb', 'ARRAY'].includes(type)) {
+        return { error: `expected ${type}, got an object` };
+    }
+
+    const text = String(raw).trim();
+
+    if (INTEGER_TYPES.includes(type)) {
+        return /^[-+]?\d+$/.test(text) ? { value: text } : { error: `expected an integer (${type})` };
+    }
+    if (NUMERIC_TYPES.includes(type)) {
+        return text !== '' && Number.isFinite(Number(text)) ? { value: text } : { error: `expected a number (${type})` };
+    }
+    if (type === 'boolean') {
+        if (typeof raw === 'boolean') return { value: raw };
+        if (TRUE_VALUES.includes(text.toLowerCase())) return { value: true };
+        if (FALSE_VALUES.includes(text.toLowerCase())) return { value: false };
+        return { error: 'expected a boolean (true/false)' };
+    }
+    if (DATE_TYPES.includes(type)) {
+        return Number.isNaN(Date.parse(text)) ? { error: `expected a ${type}` } : { value: text };
+    }
+    if (type === 'uuid') {
+        return UUID_PATTERN.test(text) ? { value: text } : { error: 'expected a UUID' };
+    }
+    if (type === 'json' || type === 'jsonb') {
+        if (typeof raw === 'object') return { value: JSON.stringify(raw) };
+        try {
+            JSON.parse(text);
+            return { value: text };
+        } catch (err) {
+            return { error: `expected valid JSON (${type})` };
+        }
+    }
+    return { value: typeof raw === 'object' ? raw : String(raw) };
+};
+
+/**
+ * Map and type-check every row against the table's columns.
+ * Returns the rows ready for insert (keyed by table column) and the problems found.
+ */
+const prepareRows = (rows, mapping, tableColumns) => {
+    const columnsByName = Object.fromEntries(tableColumns.map(col => [col.column_name, col]));
+    const mapped = Object.entries(mapping).filter(([, tableColumn]) => tableColumn);
+    const mappedTargets = mapped.map(([, tableColumn]) => tableColumn);
+    const errors = [];
+
+    if (!mapped.length) {
+        throw new HttpError(400, 'No file columns are mapped to table columns.');
+    }
+
+    const unmappedRequired = tableColumns
+        .filter(col => col.is_nullable === 'NO' && !hasDefault(col) && !mappedTargets.includes(col.column_name))
+        .map(col => col.column_name);
+    if (unmappedRequired.length) {
+        throw new HttpError(400, `Required column(s) not mapped: ${unmappedRequired.join(', ')}`);
+    }
+
+    const prepared = [];
+    rows.forEach((row, index) => {
+        const data = {};
+        let valid = true;
+
+        mapped.forEach(([fileColumn, tableColumn]) => {
+            const column = columnsByName[tableColumn];
+            const { value, error } = coerceValue(row[fileColumn], column);
+            const message = error
+                || ((value === null || value === '') && column.is_nullable === 'NO' && !hasDefault(column)
+                    ? 'value is required'
+                    : null);
+
+            if (message) {
+                valid = false;
+                errors.push({ row: index + 1, column: tableColumn, value: row[fileColumn], message });
+            } else if (value !== null || !hasDefault(column)) {
+                data[tableColumn] = value;
+            }
+        });
+
+        if (valid) prepared.push({ row: index + 1, data });
+    });
+
+    return { prepared, errors };
+};
+
+/**
+ * Dry run: insert every prepared row inside a transaction that is always rolled back,
+ * using a savepoint per row so constraint violations (unique, foreign key, check)
+ * are reported for each row without stopping at the first one.
+ */
+const checkRowsAgainstDatabase = async (relation, prepared, db) => {
+    const client = await db.connect();
+    const errors = [];
+
+    try {
+        await client.query('BEGIN');
+        for (const { row, data } of prepared) {
+            const columns = Object.keys(data);
+            const placeholders = columns.map((_, i) => `$${i + 1}`).join(', ');
+
+            await client.query('SAVEPOINT import_row');
+            try {
+                await client.query(
+                    `INSERT INTO ${relation} (${columns.map(quoteIdent).join(', ')}) VALUES (${placeholders})`,
+                    Object.values(data)
+                );
+                await client.query('RELEASE SAVEPOINT import_row');
+            } catch (err) {
+                await client.query('ROLLBACK TO SAVEPOINT import_row');
+                errors.push({ row, column: err.column || null, value: null, message: err.detail || err.message });
+            }
+        }
+    } finally {
+        await client.query('ROLLBACK');
+        client.release();
+    }
+
+    return errors;
+};
+
+/**
+ * Insert prepared rows in multi-row batches within the single transaction `transaction` opens,
+ * resolving to the inserted rows. Any failure rolls back the whole import and reports the rows
+ * of the failing batch.
+ */
+const insertRows = async (relation, columns, prepared, transaction) => {
+    const batchSize = Math.max(1, Math.min(MAX_BATCH_ROWS, Math.floor(MAX_BIND_PARAMS / columns.length)));
+
+    return transaction(async (client) => {
+        const inserted = [];
+        for (let start = 0; start < prepared.length; start += batchSize) {
+            const batch = prepared.slice(start, start + batchSize);
+            const values = [];
+            const tuples = batch.map(({ data }) => {
+                const placeholders = columns.map(column => {
+                    if (!(column in data)) return 'DEFAULT';
+                    values.push(data[column]);
+                    return `$${values.length}`;
+                });
+                return `(${placeholders.join(', ')})`;
+            });
+
+            try {
+                const result = await client.query(
+                    `INSERT INTO ${relation} (${columns.map(quoteIdent).join(', ')}) VALUES ${tuples.join(', ')} RETURNING *`,
+                    values
+                );
+                inserted.push(...result.rows);
+            } catch (err) {
+                throw new HttpError(
+                    400,
+                    `Import failed in rows ${batch[0].row}-${batch[batch.length - 1].row}, nothing was written: ${err.detail || err.message}`
+                );
+            }
+        }
+        return inserted;
+    });
+};
+
+/**
+ * Import an uploaded file into a table of the given `target` connection and schema (the main
+ * database's public schema by default). With `dryRun`, nothing is written and the
+ * report lists every row that would fail and why. Without it, any invalid row
+ * aborts the import before a single row is inserted.
+ *
+ * The rows are written by `transaction(callback)`, which runs `callback(client)` in a transaction
+ * on the target and resolves to its result, the inserted rows (the CRUD routes' write transaction,
+ * which also audits them).
+ */
+const importFile = async ({ table, target = {}, tableColumns, file, format, mapping, dryRun, transaction }) => {
+    const relation = qualifiedTable(target, table);
+    const db = target.pool || pool;
+    const fileFormat = detectFormat(file, format);
+    const { fileColumns, rows } = parseImportFile(file, fileFormat);
+    const resolvedMapping = resolveMapping(fileColumns, tableColumns, mapping);
+    const { prepared, errors } = prepareRows(rows, resolvedMapping, tableColumns);
+
+    if (dryRun) {
+        errors.push(...(await checkRowsAgainstDatabase(relation, prepared, db)));
+        errors.sort((a, b) => a.row - b.row);
+    }
+
+    const invalidRows = new Set(errors.map(err => err.row)).size;
+    const report = {
+        dryRun,
+        format: fileFormat,
+        fileColumns,
+        tableColumns: tableColumns.map(col => ({ name: col.column_name, type: col.data_type })),
+        mapping: resolvedMapping,
+        totalRows: rows.length,
+        validRows: rows.length - invalidRows,
+        invalidRows,
+        errors: errors.slice(0, MAX_REPORTED_ERRORS),
+        inserted: 0,
+    };
+
+    if (dryRun || errors.length) {
+        return report;
+    }
+
+    const targetColumns = [...new Set(Object.values(resolvedMapping).filter(Boolean))];
+    report.inserted = prepared.length ? (await insertRows(relation, targetColumns, prepared, transaction)).length : 0;
+    return report;
+};
+
+module.exports = { importFile };
@@ -0,0 +1,167 @@
+const { can } = require('./permissions');
+
+// Generic table routes documented in routes/crud.js; each is copied once per concrete table
+const TABLE_PATH_TEMPLATE = '/api/{table}';
+
+// Templates whose query string accepts column filters
+const FILTERABLE_PATHS = ['/api/{table}', '/api/{table}/export', '/api/{table}/aggregate'];
+
+// The action each HTTP method needs on a table, as checked by requirePermission
+const METHOD_ACTIONS = { get: 'read', post: 'write', put: 'write', patch: 'write', delete: 'delete' };
+
+/**
+ * Turn a table name into a valid component name, e.g. `order_items` -> `OrderItems`.
+ */
+const pascalCase = (name) =>
+    String(name)
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean)
+        .map(part => part[0].toUpperCase() + part.slice(1))
+        .join('') || 'Table';
+
+/**
+ * Map a Postgres column type (as printed by format_type) to a JSON schema, describing
+ * values the way node-postgres returns them: bigint and numeric arrive as strings.
+ */
+const typeSchema = (type, enumValues) => {
+    if (type.endsWith('[]')) {
+        return { type: 'array', items: typeSchema(type.slice(0, -2), enumValues) };
+    }
+    if (enumValues) {
+        return { type: 'string', enum: enumValues };
+    }
+
+    const length = type.match(/^(?:character varying|character)\((\d+)\)$/);
+    if (length) return { type: 'string', maxLength: parseInt(length[1]) };
+
+    if (type === 'smallint' || type === 'integer') return { type: 'integer', format: 'int32' };
+    if (type === 'bigint') return { type: 'string', format: 'int64', pattern: '^-?\\d+$' };
+    if (type.startsWith('numeric')) return { type: 'string', format: 'decimal' };
+    if (type === 'real' || type === 'double precision') return { type: 'number' };
+    if (type === 'boolean') return { type: 'boolean' };
+    if (type.startsWith('timestamp')) return { type: 'string', format: 'date-time' };
+    if (type === 'uuid') return { type: 'string', format: 'uuid' };
+    if (type === 'json' || type === 'jsonb') return {};
+    return { type: 'string' };
+};
+
+const columnSchema = (column) => ({
+    ...typeSchema(column.type, column.enumValues),
+    ...(column.nullable ? { nullable: true } : {}),
+    ...(column.comment ? { description: column.comment } : {}),
+});
+
+/**
+ * Build the component schemas of a table: the row as returned, the body accepted when
+ * inserting (required columns are NOT NULL without a default) and the partial body
+ * accepted when updating.
+ */
+const tableSchemas = (table) => {
+    const name = pascalCase(table.name);
+    const properties = Object.fromEntries(table.columns.map(column => [column.name, columnSchema(column)]));
+    const required = table.columns
+        .filter(column => !column.nullable && column.default === null && !column.identity)
+        .map(column => column.name);
+
+    return {
+        [name]: { type: 'object', properties, ...(table.comment ? { description: table.comment } : {}) },
+        [`${name}Input`]: { type: 'object', properties, ...(required.length ? { required } : {}) },
+        [`${name}Update`]: { type: 'object', properties },
+    };
+};
+
+const isGenericRow = (schema) =>
+    schema && schema.type === 'object' && schema.additionalProperties === true && !schema.properties;
+
+/**
+ * Replace every generic row schema (`type: object, additionalProperties: true`) nested in
+ * `node` with a reference to a concrete table schema.
+ */
+const replaceGenericRows = (node, ref) => {
+    if (Array.isArray(node)) return node.map(item => replaceGenericRows(item, ref));
+    if (!node || typeof node !== 'object') return node;
+    if (isGenericRow(node)) return { $ref: ref };
+    return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, replaceGenericRows(value, ref)]));
+};
+
+/**
+ * Query parameters filtering on each column, documented with the column's type.
+ */
+const filterParameters = (table) =>
+    table.columns.map(column => ({
+        in: 'query',
+        name: column.name,
+        required: false,
+        schema: { type: 'string' },
+        description: `Filter on ${column.name} (${column.type}). Use ${column.name}[op] for other operators.`,
+    }));
+
+/**
+ * Copy one generic operation for a concrete table: drop the `table` path parameter,
+ * point row schemas at the table's components and give it a unique operationId.
+ */
+const tableOperation = (template, { table, path, method, schemaName }) => {
+    const suffix = path
+        .slice(TABLE_PATH_TEMPLATE.length)
+        .split('/')
+        .filter(Boolean)
+        .map(segment => (segment === '{id}' ? 'ById' : pascalCase(segment)))
+        .join('');
+    const bodyRef = `#/components/schemas/${schemaName}${method === 'post' ? 'Input' : 'Update'}`;
+
+    const operation = {
+        ...template,
+        tags: [table.name],
+        operationId: `${method}${schemaName}${suffix}`,
+        parameters: (template.parameters || []).filter(param => !(param.in === 'path' && param.name === 'table')),
+    };
+    if (template.requestBody) {
+        operation.requestBody = replaceGenericRows(template.requestBody, bodyRef);
+    }
+    if (template.responses) {
+        operation.responses = replaceGenericRows(template.responses, `#/components/schemas/${schemaName}`);
+    }
+    if (method === 'get' && FILTERABLE_PATHS.includes(path)) {
+        operation.parameters = [...operation.parameters, ...filterParameters(table)];
+    }
+    return operation;
+};
+
+/**
+ * Build the OpenAPI document for a user from the static swagger-jsdoc spec and the live schema.
+ *
+ * The generic `/api/{table}` paths are replaced by one path group per table the user can
+ * read, with concrete request and response schemas, and only the operations the user's
+ * role, grants and API token allow.
+ */
+const buildOpenApiSpec = (baseSpec, tables, user) => {
+    const templates = Object.entries(baseSpec.paths).filter(([path]) => path.startsWith(TABLE_PATH_TEMPLATE));
+    const paths = Object.fromEntries(Object.entries(baseSpec.paths).filter(([path]) => !path.startsWith(TABLE_PATH_TEMPLATE)));
+    const schemas = { ...((baseSpec.components && baseSpec.components.schemas) || {}) };
+    const tags = [];
+
+    tables.filter(table => can(user, 'read', table.name)).forEach(table => {
+        const schemaName = pascalCase(table.name);
+        Object.assign(schemas, tableSchemas(table));
+        tags.push({ name: table.name, description: table.comment || `Rows of the ${table.name} ${table.type}` });
+
+        templates.forEach(([path, item]) => {
+            const operations = Object.entries(item)
+                .filter(([method]) => METHOD_ACTIONS[method] && can(user, METHOD_ACTIONS[method], table.name))
+                .map(([method, template]) => [method, tableOperation(template, { table, path, method, schemaName })]);
+
+            if (operations.length) {
+                paths[path.replace('{table}', encodeURIComponent(table.name))] = Object.fromEntries(operations);
+            }
+        });
+    });
+
+    return {
+        ...baseSpec,
+        tags: [...(baseSpec.tags || []), ...tags],
+        paths,
+        components: { ...baseSpec.components, schemas },
+    };
+};
+
+module.exports = { buildOpenApiSpec };
@@ -0,0 +1,132 @@
+const pool = require('../db/pool');
+const { HttpError } = require('./errors');
+const { quoteIdent } = require('./queryBuilder');
+const { DEFAULT_SCHEMA, qualifiedTable } = require('../db/connections');
+
+// How the total row count is computed: exact COUNT(*), the planner's estimate, or not at all
+const COUNT_MODES = ['exact', 'estimated', 'none'];
+
+/**
+ * Validate the `count` query parameter.
+ */
+const parseCountMode = (count, defaultMode) => {
+    const mode = count === undefined || count === '' ? defaultMode : String(count).toLowerCase();
+    if (!COUNT_MODES.includes(mode)) {
+        throw new HttpError(400, `Invalid count mode: ${count}. Use one of: ${COUNT_MODES.join(', ')}.`);
+    }
+    return mode;
+};
+
+/**
+ * Count the rows matching a WHERE clause.
+ *
+ * `estimated` uses pg_class.reltuples for an unfiltered table (as of the last ANALYZE or
+ * VACUUM) and the planner's row estimate for a filtered one, so it never scans the table.
+ * `none` skips counting and resolves to null. Tables outside the public schema are counted
+ * on the given `target` connection and schema.
+ */
+const countRows = async (table, { clause, values }, mode, target = null) => {
+    if (mode === 'none') return null;
+
+    const db = target ? target.pool : pool;
+    const relation = target ? qualifiedTable(target, table) : quoteIdent(table);
+
+    if (mode === 'exact') {
+        const result = await db.query(`SELECT COUNT(*) FROM ${relation} ${clause}`, values);
+        return parseInt(result.rows[0].count);
+    }
+
+    if (!clause) {
+        const result = await db.query(
+            "SELECT reltuples FROM pg_class WHERE oid = to_regclass(format('%I.%I', $2::text, $1::text))",
+            [table, target ? target.schema : DEFAULT_SCHEMA]
+        );
+        // reltuples is -1 for tables that were never analyzed; let the planner estimate those
+        if (result.rows.length && result.rows[0].reltuples >= 0) {
+            return Math.round(result.rows[0].reltuples);
+        }
+    }
+
+    const result = await db.query(`EXPLAIN (FORMAT JSON) SELECT 1 FROM ${relation} ${clause}`, values);
+    return result.rows[0]['QUERY PLAN'][0].Plan['Plan Rows'];
+};
+
+/**
+ * The full ordering used for keyset pagination: the requested sort columns followed by the
+ * primary key columns, so that every row has a unique position.
+ */
+const keysetOrdering = (sort, keyColumns) => {
+    if (!keyColumns.length) {
+        throw new HttpError(400, 'Cursor pagination needs a table with a primary key or an id column.');
+    }
+    const sorted = sort.map(({ column }) => column);
+    return [...sort, ...keyColumns.filter(column => !sorted.includes(column)).map(column => ({ column, descending: false }))];
+};
+
+const sortKey = (ordering) => ordering.map(({ column, descending }) => `${descending ? '-' : ''}${column}`).join(',');
+
+/**
+ * Encode the ordering values of the last row of a page into an opaque cursor. Values are
+ * carried as Postgres text so timestamps keep their full precision.
+ */
+const encodeCursor = (ordering, values) =>
+    Buffer.from(JSON.stringify({ sort: sortKey(ordering), values })).toString('base64url');
+
+/**
+ * Decode a cursor, checking it was issued for the same ordering.
+ */
+const decodeCursor = (cursor, ordering) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (err) {
+        throw new HttpError(400, 'Invalid cursor.');
+    }
+    if (!decoded || !Array.isArray(decoded.values)) {
+        throw new HttpError(400, 'Invalid cursor.');
+    }
+    if (decoded.sort !== sortKey(ordering) || decoded.values.length !== ordering.length) {
+        throw new HttpError(400, 'This cursor was issued for a different sort order; start again without a cursor.');
+    }
+    return decoded.values;
+};
+
+/**
+ * Build the condition selecting the rows after a cursor position in the given ordering.
+ *
+ * Expands to `(a > $1) OR (a = $1 AND b > $2) OR ...`, honouring each column's direction and
+ * Postgres' default NULL placement (last when ascending, first when descending).
+ */
+const buildKeysetCondition = (ordering, cursorValues, values) => {
+    const placeholders = cursorValues.map(value => {
+        if (value === null) return null;
+        values.push(value);
+        return `$${values.length}`;
+    });
+
+    const equal = (i) => {
+        const ident = quoteIdent(ordering[i].column);
+        return placeholders[i] === null ? `${ident} IS NULL` : `${ident} = ${placeholders[i]}`;
+    };
+    const after = (i) => {
+        const ident = quoteIdent(ordering[i].column);
+        if (placeholders[i] === null) {
+            return ordering[i].descending ? `${ident} IS NOT NULL` : null;
+        }
+        return ordering[i].descending
+            ? `${ident} < ${placeholders[i]}`
+            : `(${ident} > ${placeholders[i]} OR ${ident} IS NULL)`;
+    };
+
+    const branches = ordering
+        .map((_, i) => {
+            const condition = after(i);
+            if (!condition) return null;
+            return [...ordering.slice(0, i).map((__, j) => equal(j)), condition].join(' AND ');
+        })
+        .filter(Boolean);
+
+    return branches.length ? branches.map(branch => `(${branch})`).join(' OR ') : 'FALSE';
+};
+
+module.exports = { parseCountMode, countRows, keysetOrdering, encodeCursor, decodeCursor, buildKeysetCondition };
@@ -0,0 +1,226 @@
+const { INTERNAL_SCHEMA } = require('../db/internal');
+const { DEFAULT_CONNECTION, resolveTarget, tableKey, keyConnection, setSearchPath } = require('../db/connections');
+const { HttpError } = require('./errors');
+
+// Actions each role may perform on any table. Only admins may change table structure (ddl).
+const ROLE_PERMISSIONS = {
+    admin: ['read', 'write', 'delete', 'ddl'],
+    editor: ['read', 'write', 'delete'],
+    viewer: ['read'],
+};
+
+// Table-level actions that can be granted per table in users.json
+const TABLE_ACTIONS = ['read', 'write', 'delete'];
+
+// Statements non-admins may run in the SQL playground; everything else (DDL, GRANT, COPY, ...) is admin-only
+const DML_KEYWORDS = ['select', 'with', 'values', 'table', 'insert', 'update', 'delete'];
+
+// Non-admins may only call built-in (pg_catalog) functions in the SQL playground, except these:
+// functions that run SQL text of their own, which the query plan does not show (query_to_xml,
+// table_to_xml, ts_stat, ...), read server files, large objects or server state (pg_*, lo_*),
+// or change settings the version triggers trust (set_config)
+const BLOCKED_FUNCTIONS = /^(?:(?:query|table|cursor|schema|database)_to_xml.*|ts_stat|ts_rewrite|set_config|lo_.*|loread|lowrite|pg_(?!typeof$|column_size$|size_pretty$).*)$/;
+
+// A function call in a deparsed plan expression: an optionally schema-qualified name directly
+// followed by "(". Keywords such as COALESCE( or ROW( match too and are ignored as they are not in pg_proc.
+const IDENTIFIER = '(?:[a-z_][a-z0-9_$]*|"(?:[^"]|"")+")';
+const FUNCTION_CALL = new RegExp(`(?:(${IDENTIFIER})\\.)?(${IDENTIFIER})\\(`, 'gi');
+const STRING_LITERAL = /'(?:[^']|'')*'/g;
+
+/**
+ * Check whether an API token's scope and table allow-list permit an action.
+ * Tokens can only narrow what their user may do, never widen it.
+ */
+const tokenAllows = (token, action, table) => {
+    if (token.scope === 'read' && action !== 'read') return false;
+    if (token.tables && token.tables.length) {
+        return Boolean(table) && token.tables.includes(table);
+    }
+    return true;
+};
+
+/**
+ * Check whether a user may perform an action, optionally on a specific table.
+ * Tables outside the default connection's public schema are named by their key
+ * (`schema.table`, `connection:schema.table`; see tableKey in db/connections.js).
+ *
+ * Admins may do anything. For other users, per-table grants in `user.tables` take
+ * precedence: the table's own entry, then the connection's entry in `user.connections`,
+ * then a `"*"` entry, then the role's defaults. The last two only apply to the default
+ * connection; other connections are closed unless granted.
+ * Requests made with an API token are further limited by the token's scope.
+ */
+const can = (user, action, table) => {
+    if (!user) return false;
+    if (user.token && !tokenAllows(user.token, action, table)) return false;
+    if (user.role === 'admin') return true;
+    if (!TABLE_ACTIONS.includes(action)) {
+        return (ROLE_PERMISSIONS[user.role] || []).includes(action);
+    }
+
+    const connection = keyConnection(table);
+    const grants = (user.tables && table && user.tables[table])
+        || (user.connections && user.connections[connection])
+        || (connection === DEFAULT_CONNECTION ? (user.tables && user.tables['*']) || ROLE_PERMISSIONS[user.role] : null);
+    return (grants || []).includes(action);
+};
+
+/**
+ * Check whether a user may see a connection at all: admins and the default connection always,
+ * others when the user has a grant on the connection or on one of its tables.
+ */
+const canUseConnection = (user, connection) => {
+    if (!user) return false;
+    if (connection === DEFAULT_CONNECTION) return true;
+
+    const onConnection = (keys) => keys.some(key => keyConnection(key) === connection);
+    if (user.token && user.token.tables && user.token.tables.length && !onConnection(user.token.tables)) return false;
+    if (user.role === 'admin') return true;
+    return Boolean(user.connections && user.connections[connection] && user.connections[connection].length)
+        || onConnection(Object.keys(user.tables || {}));
+};
+
+/**
+ * Return the first SQL keyword of a statement, ignoring leading whitespace and comments.
+ */
+const firstKeyword = (query) => {
+    const stripped = String(query)
+        .replace(/^(\s|--[^\n]*(\n|$)|\/\*[\s\S]*?\*\/)+/, '')
+        .replace(/^\(+/, '');
+    const match = stripped.match(/^[a-z]+/i);
+    return match ? match[0].toLowerCase() : '';
+};
+
+/**
+ * Walk an EXPLAIN (VERBOSE, FORMAT JSON) plan of a query on a connection and collect the
+ * tables it reads and modifies, by table key.
+ */
+const collectPlanRelations = (plan, connection, relations = { read: new Set(), write: new Set(), delete: new Set(), internal: false }) => {
+    if (connection === DEFAULT_CONNECTION && plan.Schema === INTERNAL_SCHEMA) {
+        relations.internal = true;
+    }
+    if (plan['Relation Name']) {
+        const key = tableKey({ connection, schema: plan.Schema }, plan['Relation Name']);
+        if (plan['Node Type'] === 'ModifyTable') {
+            relations[plan.Operation === 'Delete' ? 'delete' : 'write'].add(key);
+        } else {
+            relations.read.add(key);
+        }
+    }
+    (plan.Plans || []).forEach(child => collectPlanRelations(child, connection, relations));
+    return relations;
+};
+
+/**
+ * Collect the functions a plan calls, as `schema.name` (or `name` when unqualified), from its
+ * Function Scan nodes and from every deparsed expression (outputs, filters, conditions, ...).
+ * String literals are skipped, so the SQL text passed to a function is not mistaken for calls.
+ */
+const collectPlanFunctions = (plan, functions = new Set()) => {
+    const unquote = (name) => (name.startsWith('"') ? name.slice(1, -1).replace(/""/g, '"') : name);
+    const scan = (text) => {
+        for (const [, schema, name] of String(text).replace(STRING_LITERAL, "''").matchAll(FUNCTION_CALL)) {
+            functions.add(schema ? `${unquote(schema)}.${unquote(name)}` : unquote(name));
+        }
+    };
+
+    if (plan['Function Name']) {
+        functions.add(plan.Schema ? `${plan.Schema}.${plan['Function Name']}` : plan['Function Name']);
+    }
+    Object.entries(plan).forEach(([key, value]) => {
+        if (key === 'Plans') return;
+        [].concat(value).filter(item => typeof item === 'string').forEach(scan);
+    });
+    (plan.Plans || []).forEach(child => collectPlanFunctions(child, functions));
+    return functions;
+};
+
+/**
+ * Return the names of the functions of a plan (see collectPlanFunctions) a non-admin may not call: anything
+ * outside pg_catalog and the built-ins in BLOCKED_FUNCTIONS. An unqualified name counts as
+ * blocked if any schema has a function of that name besides pg_catalog.
+ */
+const blockedFunctions = async (db, functions) => {
+    const calls = [...functions].map(call => {
+        const dot = call.indexOf('.');
+        return dot < 0 ? { call, schema: null, name: call } : { call, schema: call.slice(0, dot), name: call.slice(dot + 1) };
+    });
+    if (!calls.length) return [];
+
+    const result = await db.query(
+        `SELECT DISTINCT p.proname AS name, n.nspname AS schema
+         FROM pg_catalog.pg_proc p JOIN pg_catalog.pg_namespace n ON n.oid = p.pronamespace
+         WHERE p.proname = ANY($1)`,
+        [calls.map(({ name }) => name)]
+    );
+
+    return [...new Set(calls
+        .filter(({ schema, name }) => {
+            const candidates = result.rows.filter(row => row.name === name && (!schema || row.schema === schema));
+            if (!candidates.length) return false;
+            return BLOCKED_FUNCTIONS.test(name) || candidates.some(row => row.schema !== 'pg_catalog');
+        })
+        .map(({ name }) => name))];
+};
+
+/**
+ * Authorize a SQL playground statement for a user.
+ *
+ * Admins may run anything. Other users may run a single DML statement; the tables it
+ * touches are read from the query plan (without executing it) and checked against the
+ * user's grants, and it may only call the built-in functions that cannot reach other tables
+ * behind the plan's back (see BLOCKED_FUNCTIONS). Resolves to `{ readOnly }`, telling the caller whether the statement
+ * only reads so it can be executed inside a READ ONLY transaction.
+ *
+ * The statement is planned on the `target` connection with its schema first on the search_path,
+ * as it will run (the default connection's public schema unless given).
+ */
+const authorizeQuery = async (user, query, target = resolveTarget()) => {
+    if (can(user, 'ddl')) {
+        return { readOnly: false };
+    }
+    if (!canUseConnection(user, target.connection)) {
+        throw new HttpError(403, `You do not have access to connection ${target.connection}.`);
+    }
+
+    const keyword = firstKeyword(query);
+    if (!DML_KEYWORDS.includes(keyword)) {
+        const who = user.token ? 'This API token' : `Your role (${user.role})`;
+        throw new HttpError(403, `${who} may not run ${keyword ? keyword.toUpperCase() : 'this'} statements.`);
+    }
+
+    let plan;
+    const client = await target.pool.connect();
+    try {
+        await client.query('BEGIN');
+        await setSearchPath(client, target.schema);
+        // Extended protocol rejects multiple statements, so nothing beyond the plan can execute
+        const result = await client.query({ text: `EXPLAIN (VERBOSE, FORMAT JSON) ${query}`, queryMode: 'extended' });
+        plan = result.rows[0]['QUERY PLAN'][0].Plan;
+    } catch (err) {
+        throw new HttpError(400, err.message);
+    } finally {
+        await client.query('ROLLBACK').catch(() => {});
+        client.release();
+    }
+
+    const blocked = await blockedFunctions(target.pool, collectPlanFunctions(plan));
+    if (blocked.length) {
+        throw new HttpError(403, `Only admins may call these functions: ${blocked.join(', ')}`);
+    }
+
+    const relations = collectPlanRelations(plan, target.connection);
+    if (relations.internal) {
+        throw new HttpError(403, 'Only admins may query the application\'s internal tables.');
+    }
+    for (const action of ['read', 'write', 'delete']) {
+        const denied = [...relations[action]].filter(table => !can(user, action, table));
+        if (denied.length) {
+            throw new HttpError(403, `You do not have ${action} permission on: ${denied.join(', ')}`);
+        }
+    }
+
+    return { readOnly: !relations.write.size && !relations.delete.size };
+};
+
+module.exports = { ROLE_PERMISSIONS, TABLE_ACTIONS, can, canUseConnection, authorizeQuery };
@@ -0,0 +1,249 @@
+const { HttpError } = require('./errors');
+
+// Query-string keys that control paging/shape rather than filter on a column
+const RESERVED_PARAMS = ['page', 'limit', 'sort', 'fields', 'cursor', 'count', 'includeDeleted'];
+
+// Filter operators accepted as `column[op]=value`
+const OPERATORS = {
+    eq: '=',
+    neq: '<>',
+    gt: '>',
+    gte: '>=',
+    lt: '<',
+    lte: '<=',
+};
+
+/**
+ * Quote an identifier (table or column name) for safe use in SQL.
+ */
+const quoteIdent = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+/**
+ * Ensure a column exists on the table, throwing a 400 otherwise.
+ */
+const assertColumn = (columnNames, column) => {
+    if (!columnNames.includes(column)) {
+        throw new HttpError(400, `Invalid column name: ${column}`);
+    }
+};
+
+/**
+ * Ensure every key of a request body is a column of the table, throwing a 400 otherwise.
+ */
+const assertColumns = (columnNames, columns) => {
+    if (!columns.length) {
+        throw new HttpError(400, 'Request body must contain at least one column.');
+    }
+    columns.forEach(column => assertColumn(columnNames, column));
+};
+
+/**
+ * Split a comma-separated query-string value into trimmed, non-empty parts.
+ */
+const splitList = (value) =>
+    (Array.isArray(value) ? value.join(',') : String(value))
+        .split(',')
+        .map(part => part.trim())
+        .filter(Boolean);
+
+/**
+ * Build a single filter condition, pushing bound values onto `values`.
+ */
+const buildCondition = (column, op, value, values) => {
+    const ident = quoteIdent(column);
+
+    if (OPERATORS[op]) {
+        if (Array.isArray(value) || (value !== null && typeof value === 'object')) {
+            throw new HttpError(400, `Operator "${op}" on ${column} expects a single value.`);
+        }
+        values.push(value);
+        return `${ident} ${OPERATORS[op]} $${values.length}`;
+    }
+
+    switch (op) {
+        case 'in':
+            values.push(splitList(value));
+            return `${ident} = ANY($${values.length})`;
+        case 'like':
+        case 'ilike':
+            values.push(String(value));
+            return `${ident}::text ${op.toUpperCase()} $${values.length}`;
+        case 'is': {
+            const normalized = String(value).toLowerCase();
+            if (normalized === 'null') return `${ident} IS NULL`;
+            if (normalized === 'notnull' || normalized === '!null') return `${ident} IS NOT NULL`;
+            throw new HttpError(400, `Operator "is" on ${column} expects "null" or "notnull".`);
+        }
+        default:
+            throw new HttpError(400, `Invalid filter operator: ${op}`);
+    }
+};
+
+/**
+ * Build a parameterized WHERE clause from query-string filters.
+ *
+ * `?status=active` is an equality filter, `?price[gt]=10` uses an operator,
+ * and repeating a plain key (`?status=a&status=b`) becomes an `in` filter.
+ * Every column is checked against `columnNames` so only values are bound.
+ */
+const buildWhereClause = (query, columnNames, values = []) => {
+    const conditions = [];
+
+    Object.entries(query)
+        .filter(([key]) => !RESERVED_PARAMS.includes(key))
+        .forEach(([column, filter]) => {
+            assertColumn(columnNames, column);
+
+            if (Array.isArray(filter)) {
+                conditions.push(buildCondition(column, 'in', filter, values));
+            } else if (filter !== null && typeof filter === 'object') {
+                Object.entries(filter).forEach(([op, value]) => {
+                    conditions.push(buildCondition(column, op, value, values));
+                });
+            } else {
+                conditions.push(buildCondition(column, 'eq', filter, values));
+            }
+        });
+
+    return {
+        clause: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+        values,
+    };
+};
+
+/**
+ * Parse `sort=col1,-col2` (leading "-" for descending) into `[{ column, descending }]`.
+ */
+const parseSort = (sort, columnNames) => {
+    if (!sort) return [];
+
+    return splitList(sort).map(entry => {
+        const descending = entry.startsWith('-');
+        const column = descending || entry.startsWith('+') ? entry.slice(1) : entry;
+        assertColumn(columnNames, column);
+        return { column, descending };
+    });
+};
+
+/**
+ * Build an ORDER BY clause from parsed sort columns.
+ */
+const buildOrderByClause = (ordering) =>
+    ordering.length
+        ? `ORDER BY ${ordering.map(({ column, descending }) => `${quoteIdent(column)} ${descending ? 'DESC' : 'ASC'}`).join(', ')}`
+        : '';
+
+/**
+ * Build an ORDER BY clause from `sort=col1,-col2` (leading "-" for descending).
+ */
+const buildOrderBy = (sort, columnNames) => buildOrderByClause(parseSort(sort, columnNames));
+
+/**
+ * Parse and validate `fields=col1,col2`, returning null when all columns are requested.
+ */
+const parseFields = (fields, columnNames) => {
+    const columns = fields ? splitList(fields) : [];
+    if (!columns.length) return null;
+
+    columns.forEach(column => assertColumn(columnNames, column));
+    return columns;
+};
+
+/**
+ * Build the SELECT list from `fields=col1,col2`, defaulting to all columns.
+ */
+const buildSelectList = (fields, columnNames) => {
+    const columns = parseFields(fields, columnNames);
+    return columns ? columns.map(quoteIdent).join(', ') : '*';
+};
+
+/**
+ * Build a WHERE clause matching one row by its primary key.
+ *
+ * For composite keys the `id` path segment holds comma-separated values in key order
+ * (e.g. `/api/memberships/12,3`).
+ */
+const buildKeyCondition = (keyColumns, id, values = []) => {
+    if (!keyColumns.length) {
+        throw new HttpError(400, 'Table has no primary key; rows cannot be addressed by id.');
+    }
+
+    const keyValues = keyColumns.length > 1 ? String(id).split(',') : [id];
+    if (keyValues.length !== keyColumns.length) {
+        throw new HttpError(
+            400,
+            `Expected ${keyColumns.length} comma-separated key values (${keyColumns.join(', ')}), got ${keyValues.length}.`
+        );
+    }
+
+    const conditions = keyColumns.map((column, i) => {
+        values.push(keyValues[i]);
+        return `${quoteIdent(column)} = $${values.length}`;
+    });
+
+    return { clause: `WHERE ${conditions.join(' AND ')}`, values };
+};
+
+/**
+ * Validate an upsert spec of the form `{ action: 'ignore' | 'update', target: ['col', ...] }`.
+ * `target` names the unique key to detect conflicts on and is required for `update`.
+ */
+const parseOnConflict = (onConflict, columnNames) => {
+    if (!onConflict) return null;
+
+    const { action } = onConflict;
+    if (!['ignore', 'update'].includes(action)) {
+        throw new HttpError(400, 'onConflict.action must be "ignore" or "update".');
+    }
+
+    const target = onConflict.target ? splitList(onConflict.target) : [];
+    if (action === 'update' && !target.length) {
+        throw new HttpError(400, 'onConflict.target is required when onConflict.action is "update".');
+    }
+    target.forEach(column => assertColumn(columnNames, column));
+
+    return { action, target };
+};
+
+/**
+ * Build a parameterized INSERT ... RETURNING statement for one row into `relation` (a table
+ * quoted for SQL), with an optional `ON CONFLICT` clause from `parseOnConflict`.
+ */
+const buildInsert = (relation, data, onConflict = null) => {
+    const columns = Object.keys(data);
+    const values = Object.values(data);
+    const placeholders = values.map((_, i) => `$${i + 1}`).join(', ');
+    let conflictClause = '';
+
+    if (onConflict) {
+        const target = onConflict.target.length ? `(${onConflict.target.map(quoteIdent).join(', ')})` : '';
+        const updates = columns
+            .filter(column => !onConflict.target.includes(column))
+            .map(column => `${quoteIdent(column)} = EXCLUDED.${quoteIdent(column)}`);
+
+        conflictClause = onConflict.action === 'update' && updates.length
+            ? `ON CONFLICT ${target} DO UPDATE SET ${updates.join(', ')}`
+            : `ON CONFLICT ${target} DO NOTHING`;
+    }
+
+    return {
+        text: `INSERT INTO ${relation} (${columns.map(quoteIdent).join(', ')}) VALUES (${placeholders}) ${conflictClause} RETURNING *`,
+        values,
+    };
+};
+
+module.exports = {
+    RESERVED_PARAMS,
+    quoteIdent,
+    splitList,
+    assertColumns,
+    parseOnConflict,
+    buildInsert,
+    buildKeyCondition,
+    buildWhereClause,
+    parseSort,
+    buildOrderByClause,
+    buildOrderBy,
+    parseFields,
+    buildSelectList,
+};
@@ -0,0 +1,106 @@
+const { escapeLiteral } = require('pg');
+const { HttpError } = require('./errors');
+
+const PARAMETER_NAME = /^[A-Za-z_][A-Za-z0-9_]*/;
+const DOLLAR_QUOTE = /^\$([A-Za-z_][A-Za-z0-9_]*)?\$/;
+
+/**
+ * End of the quoted literal starting at `start`: `'...'` or `"..."`, where a doubled quote
+ * stands for the quote itself.
+ */
+const quotedEnd = (sql, start) => {
+    const quote = sql[start];
+    let i = start + 1;
+    while (i < sql.length) {
+        if (sql[i] === quote) {
+            if (sql[i + 1] !== quote) return i + 1;
+            i += 1;
+        }
+        i += 1;
+    }
+    return sql.length;
+};
+
+/**
+ * End of the string literal, quoted identifier, dollar-quoted body or comment starting at
+ * `i`, or null when none starts there. Placeholders inside them are left alone.
+ */
+const skippedEnd = (sql, i) => {
+    const rest = sql.slice(i, i + 2);
+    if (sql[i] === '\'' || sql[i] === '"') return quotedEnd(sql, i);
+    if (rest === '--') {
+        const end = sql.indexOf('\n', i);
+        return end === -1 ? sql.length : end;
+    }
+    if (rest === '/*') {
+        const end = sql.indexOf('*/', i + 2);
+        return end === -1 ? sql.length : end + 2;
+    }
+    const dollar = sql[i] === '$' && sql.slice(i).match(DOLLAR_QUOTE);
+    if (dollar) {
+        const end = sql.indexOf(dollar[0], i + dollar[0].length);
+        return end === -1 ? sql.length : end + dollar[0].length;
+    }
+    return null;
+};
+
+/**
+ * Replace every `:name` placeholder of a statement with `replace(name)`. Casts (`::date`),
+ * literals and comments are left as they are.
+ */
+const replacePlaceholders = (sql, replace) => {
+    let output = '';
+    let i = 0;
+
+    while (i < sql.length) {
+        const end = skippedEnd(sql, i);
+        if (end !== null) {
+            output += sql.slice(i, end);
+            i = end;
+        } else if (sql.startsWith('::', i)) {
+            output += '::';
+            i += 2;
+        } else if (sql[i] === ':' && PARAMETER_NAME.test(sql.slice(i + 1))) {
+            const name = sql.slice(i + 1).match(PARAMETER_NAME)[0];
+            output += replace(name);
+            i += 1 + name.length;
+        } else {
+            output += sql[i];
+            i += 1;
+        }
+    }
+    return output;
+};
+
+/**
+ * Names of the `:name` placeholders of a statement, in order of first use.
+ */
+const findParameters = (sql) => {
+    const names = [];
+    replacePlaceholders(sql, (name) => {
+        if (!names.includes(name)) names.push(name);
+        return '';
+    });
+    return names;
+};
+
+/**
+ * Fill the `:name` placeholders of a statement with quoted literals of the given values.
+ * Postgres infers their types from where they are used, as for any literal; `null` becomes NULL.
+ */
+const bindParameters = (sql, params) => {
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        throw new HttpError(400, 'params must be an object of placeholder values.');
+    }
+    return replacePlaceholders(sql, (name) => {
+        if (!Object.prototype.hasOwnProperty.call(params, name)) {
+            throw new HttpError(400, `Missing a value for the :${name} parameter.`);
+        }
+        const value = params[name];
+        if (value === null) return 'NULL';
+        if (typeof value === 'object') return escapeLiteral(JSON.stringify(value));
+        return escapeLiteral(String(value));
+    });
+};
+
+module.exports = { findParameters, bindParameters };
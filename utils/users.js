@@ -0,0 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const { TABLE_ACTIONS } = require('./permissions');
+const { HttpError } = require('./errors');
+
+// Path to users.json
+const usersFilePath = path.join(__dirname, '..', 'users.json');
+
+// Supported roles, from most to least privileged
+const ROLES = ['admin', 'editor', 'viewer'];
+
+// Role given to new users when none is specified
+const DEFAULT_ROLE = 'viewer';
+
+// Entries written before roles existed (username -> hash) keep the full access they always had
+const LEGACY_ROLE = 'admin';
+
+// Password rules for new and reset passwords
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH) || 10;
+
+// How often users.json is checked for changes made outside the server
+const RELOAD_INTERVAL_MS = 1000;
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.@-]{1,64}$/;
+
+let users = {};
+
+/**
+ * Normalize a users.json entry to `{ password, role, tables, connections, disabled }`.
+ * Entries are either a bare bcrypt hash (legacy) or an object with a role and optional
+ * per-table and per-connection grants.
+ */
+const normalizeUser = (entry) => {
+    if (typeof entry === 'string') {
+        return { password: entry, role: LEGACY_ROLE, tables: null, connections: null, disabled: false };
+    }
+    return {
+        password: entry.password,
+        role: ROLES.includes(entry.role) ? entry.role : 'viewer',
+        tables: entry.tables || null,
+        connections: entry.connections || null,
+        disabled: Boolean(entry.disabled),
+    };
+};
+
+/**
+ * Load users from users.json into memory. A file that cannot be parsed (for example while
+ * it is being edited by hand) leaves the users loaded before in place.
+ */
+const loadUsers = () => {
+    if (!fs.existsSync(usersFilePath)) {
+        console.error('Error: users.json file not found. Ensure this file exists locally.');
+        users = {};
+        return users;
+    }
+
+    try {
+        users = JSON.parse(fs.readFileSync(usersFilePath, 'utf8'));
+        console.log('Users loaded securely from users.json');
+    } catch (err) {
+        console.error('Error reading users.json:', err);
+    }
+    return users;
+};
+
+/**
+ * Reload users.json whenever it changes, so users added, changed or removed with the CLI
+ * take effect without a restart.
+ */
+const watchUsers = () => {
+    fs.watchFile(usersFilePath, { interval: RELOAD_INTERVAL_MS }, (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs) {
+            loadUsers();
+        }
+    }).unref();
+};
+
+/**
+ * Look up an enabled user by username, or null if there is no such user or the account is disabled.
+ */
+const getUser = (username) => {
+    if (!username || !Object.prototype.hasOwnProperty.call(users, username)) {
+        return null;
+    }
+    const user = normalizeUser(users[username]);
+    return user.disabled ? null : { username, ...user };
+};
+
+/**
+ * Throw a 400 HttpError describing every rule a new password breaks.
+ */
+const checkPasswordStrength = (password, username) => {
+    if (typeof password !== 'string') {
+        throw new HttpError(400, 'A password is required.');
+    }
+
+    const problems = [];
+    if (password.length < PASSWORD_MIN_LENGTH) {
+        problems.push(`be at least ${PASSWORD_MIN_LENGTH} characters long`);
+    }
+    if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) {
+        problems.push('contain both letters and digits');
+    }
+    if (username && password.toLowerCase().includes(username.toLowerCase())) {
+        problems.push('not contain the username');
+    }
+    if (problems.length) {
+        throw new HttpError(400, `The password must ${problems.join(', ')}.`);
+    }
+};
+
+const checkRole = (role) => {
+    if (!ROLES.includes(role)) {
+        throw new HttpError(400, `Invalid role "${role}". Use one of: ${ROLES.join(', ')}.`);
+    }
+};
+
+const isGrantMap = (grants) =>
+    typeof grants === 'object' && !Array.isArray(grants) && Object.values(grants).every(actions =>
+        Array.isArray(actions) && actions.every(action => TABLE_ACTIONS.includes(action)));
+
+/**
+ * Validate per-table grants: null, or an object mapping table names (or "*") to lists of actions.
+ */
+const checkTables = (tables) => {
+    if (tables !== null && !isGrantMap(tables)) {
+        throw new HttpError(400, `tables must map table names (or "*") to lists of: ${TABLE_ACTIONS.join(', ')}.`);
+    }
+};
+
+/**
+ * Validate per-connection grants: null, or an object mapping connection names to lists of actions.
+ */
+const checkConnections = (connections) => {
+    if (connections !== null && !isGrantMap(connections)) {
+        throw new HttpError(400, `connections must map connection names to lists of: ${TABLE_ACTIONS.join(', ')}.`);
+    }
+};
+
+/**
+ * Read users.json as stored, failing rather than starting over when it cannot be parsed.
+ */
+const readUsersFile = () => {
+    if (!fs.existsSync(usersFilePath)) {
+        return {};
+    }
+    try {
+        return JSON.parse(fs.readFileSync(usersFilePath, 'utf8'));
+    } catch (err) {
+        throw new Error(`users.json cannot be parsed (${err.message}); fix it by hand before changing users.`);
+    }
+};
+
+/**
+ * List every user, including disabled ones, without their password hashes.
+ */
+const listUsers = () => {
+    const stored = readUsersFile();
+    return Object.keys(stored)
+        .sort()
+        .map((username) => {
+            const { role, tables, connections, disabled } = normalizeUser(stored[username]);
+            return { username, role, tables, connections, disabled };
+        });
+};
+
+const hasEnabledAdmin = (entries) =>
+    Object.values(entries).some((entry) => {
+        const user = normalizeUser(entry);
+        return user.role === 'admin' && !user.disabled;
+    });
+
+/**
+ * Apply a change to the users stored in users.json and write them back atomically.
+ * The file is re-read first so changes made elsewhere (the CLI, another server) are kept.
+ */
+const changeUsers = (username, change) => {
+    const stored = readUsersFile();
+    const hadAdmin = hasEnabledAdmin(stored);
+    const exists = Object.prototype.hasOwnProperty.call(stored, username);
+
+    const entry = change(exists ? normalizeUser(stored[username]) : null);
+    if (entry) {
+        const { password, role, tables, connections, disabled } = entry;
+        stored[username] = {
+            password,
+            role,
+            ...(tables ? { tables } : {}),
+            ...(connections ? { connections } : {}),
+            ...(disabled ? { disabled } : {}),
+        };
+    } else {
+        delete stored[username];
+    }
+
+    if (hadAdmin && !hasEnabledAdmin(stored)) {
+        throw new HttpError(409, 'At least one enabled admin must remain.');
+    }
+
+    const tempPath = `${usersFilePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(stored, null, 2), { encoding: 'utf8', mode: 0o600 });
+    fs.renameSync(tempPath, usersFilePath);
+    users = stored;
+};
+
+const notFound = (username) => new HttpError(404, `User "${username}" does not exist.`);
+
+/**
+ * Add a user. Resolves to the new user, without the password hash.
+ */
+const createUser = async ({ username, password, role = DEFAULT_ROLE, tables = null, connections = null }) => {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        throw new HttpError(400, 'Usernames are 1-64 letters, digits or . _ @ - characters.');
+    }
+    checkRole(role);
+    checkTables(tables);
+    checkConnections(connections);
+    checkPasswordStrength(password, username);
+
+    const hash = await bcrypt.hash(password, 10);
+    changeUsers(username, (existing) => {
+        if (existing) {
+            throw new HttpError(409, `User "${username}" already exists.`);
+        }
+        return { password: hash, role, tables, connections, disabled: false };
+    });
+    return { username, role, tables, connections, disabled: false };
+};
+
+/**
+ * Change a user's role, table or connection grants or disabled flag. Resolves to the updated user.
+ */
+const updateUser = async (username, { role, tables, connections, disabled }) => {
+    if (role !== undefined) checkRole(role);
+    if (tables !== undefined) checkTables(tables);
+    if (connections !== undefined) checkConnections(connections);
+    if (disabled !== undefined && typeof disabled !== 'boolean') {
+        throw new HttpError(400, 'disabled must be true or false.');
+    }
+
+    let updated;
+    changeUsers(username, (existing) => {
+        if (!existing) throw notFound(username);
+        updated = {
+            ...existing,
+            ...(role !== undefined ? { role } : {}),
+            ...(tables !== undefined ? { tables } : {}),
+            ...(connections !== undefined ? { connections } : {}),
+            ...(disabled !== undefined ? { disabled } : {}),
+        };
+        return updated;
+    });
+    return { username, role: updated.role, tables: updated.tables, connections: updated.connections, disabled: updated.disabled };
+};
+
+/**
+ * Replace a user's password.
+ */
+const resetPassword = async (username, password) => {
+    if (!Object.prototype.hasOwnProperty.call(readUsersFile(), username)) {
+        throw notFound(username);
+    }
+    checkPasswordStrength(password, username);
+
+    const hash = await bcrypt.hash(password, 10);
+    changeUsers(username, (existing) => {
+        if (!existing) throw notFound(username);
+        return { ...existing, password: hash };
+    });
+};
+
+/**
+ * Remove a user.
+ */
+const removeUser = async (username) => {
+    changeUsers(username, (existing) => {
+        if (!existing) throw notFound(username);
+        return null;
+    });
+};
+
+module.exports = {
+    usersFilePath,
+    ROLES,
+    DEFAULT_ROLE,
+    PASSWORD_MIN_LENGTH,
+    normalizeUser,
+    loadUsers,
+    watchUsers,
+    getUser,
+    listUsers,
+    checkPasswordStrength,
+    createUser,
+    updateUser,
+    resetPassword,
+    removeUser,
+};
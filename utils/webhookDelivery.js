@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const { claimDueDeliveries, recordDeliveryAttempt, pruneDeliveries } = require('../db/webhooks');
+
+// How often the queue is checked for due deliveries, and how many are sent at a time
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 2000;
+const BATCH_SIZE = 20;
+
+// A delivery is retried with exponential backoff (30s, 1m, 2m, ... capped at 1h) until it has been tried this often
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const BASE_BACKOFF_SECONDS = 30;
+const MAX_BACKOFF_SECONDS = 60 * 60;
+
+// Receivers that take longer than this to answer count as failed
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// Finished deliveries are kept in the log this long
+const LOG_RETENTION_DAYS = parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS) || 30;
+
+/**
+ * Signature header for a payload: `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`.
+ * Receivers recompute it with the webhook's secret and should reject stale timestamps.
+ */
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Seconds to wait before retrying a delivery that has failed `attempts` times.
+ */
+const backoffSeconds = (attempts) => Math.min(MAX_BACKOFF_SECONDS, BASE_BACKOFF_SECONDS * 2 ** (attempts - 1));
+
+/**
+ * POST one delivery to its webhook and record the outcome. Any 2xx answer counts as delivered.
+ */
+const sendDelivery = async (delivery) => {
+    const body = JSON.stringify({ id: Number(delivery.id), ...delivery.payload });
+    let statusCode = null;
+    let error = null;
+
+    try {
+        const response = await fetch(delivery.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'growth-db-webhooks',
+                'X-Webhook-Id': String(delivery.id),
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Signature': signPayload(delivery.secret, body),
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        });
+        statusCode = response.status;
+        if (!response.ok) {
+            error = `HTTP ${response.status}: ${(await response.text()).slice(0, 500)}`;
+        }
+    } catch (err) {
+        error = err.name === 'TimeoutError' ? `No response within ${REQUEST_TIMEOUT_MS} ms` : err.message;
+    }
+
+    if (!error) {
+        return recordDeliveryAttempt(delivery.id, { status: 'succeeded', statusCode });
+    }
+    if (delivery.attempts >= MAX_ATTEMPTS) {
+        return recordDeliveryAttempt(delivery.id, { status: 'failed', statusCode, error });
+    }
+    return recordDeliveryAttempt(delivery.id, {
+        status: 'pending',
+        statusCode,
+        error,
+        retryInSeconds: backoffSeconds(delivery.attempts),
+    });
+};
+
+let running = false;
+
+/**
+ * Send every due delivery, a batch at a time. Overlapping runs are skipped.
+ */
+const processDueDeliveries = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+        let batch;
+        do {
+            batch = await claimDueDeliveries(BATCH_SIZE);
+            await Promise.all(batch.map(delivery =>
+                sendDelivery(delivery).catch(err => console.error(`Error recording webhook delivery ${delivery.id}:`, err.message))));
+        } while (batch.length === BATCH_SIZE);
+    } catch (err) {
+        console.error('Error processing webhook deliveries:', err.message);
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Start polling the delivery queue in the background. Every server process may run one;
+ * claimed deliveries are locked, so each is sent once per attempt.
+ */
+const startWebhookWorker = () => {
+    setInterval(processDueDeliveries, POLL_INTERVAL_MS).unref();
+    setInterval(() => {
+        pruneDeliveries(LOG_RETENTION_DAYS).catch(err => console.error('Error pruning webhook deliveries:', err.message));
+    }, 60 * 60 * 1000).unref();
+};
+
+module.exports = { MAX_ATTEMPTS, signPayload, backoffSeconds, processDueDeliveries, startWebhookWorker };